@@ -1,15 +1,32 @@
 const express = require('express');
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
 const cors = require('cors');
 require('dotenv').config();
 const Stripe = require("stripe");
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
+const { MongoClient, ServerApiVersion, ObjectId, BSON } = require('mongodb');
 const admin = require("./firebaseAdmin");
+const jwt = require("jsonwebtoken");
+const { validate, schemas, ISSUE_READ_ONLY, COMMENT_READ_ONLY, NOTIFICATION_TYPES, EMAIL_TYPES, WEBHOOK_EVENTS } = require("./validation");
+const { createTransport, renderEvent, renderDigest } = require("./mailer");
+const { createStorage } = require("./storage");
+const multer = require("multer");
+const sharp = require("sharp");
 
 const app = express();
 const port = process.env.PORT;
 
-app.use(express.json());
+// behind Vercel's proxy; makes req.ip the client's address (used by the audit log)
+app.set("trust proxy", 1);
+
+// keep the raw body around so Stripe webhook signatures can be verified
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(cors());
 
 // MongoDB setup
@@ -30,6 +47,51 @@ app.get("/", (req, res) => {
 });
 
 
+// Load (or create on first sight) the user behind a verified identity and build req.user
+async function loadRequestUser(req, identity) {
+    let dbUser = await req.usersCollection.findOne({
+        email: identity.email
+    });
+
+    if (!dbUser) {
+        const newUser = {
+            email: identity.email,
+            name: identity.name || "",
+            image: identity.picture || "",
+            role: "citizen",
+            isBlocked: false,
+            hasPassword: false,
+            createdAt: new Date()
+        };
+
+        await req.usersCollection.insertOne(newUser);
+        dbUser = newUser;
+    }
+
+    const subscription = await req.subscriptionsCollection.findOne({
+        email: identity.email
+    });
+
+    const suspension = activeSuspension(dbUser);
+
+    // an expired suspension is lifted on the user's next request
+    if (dbUser.suspension && !suspension) {
+        await req.usersCollection.updateOne(
+            { email: identity.email, "suspension.id": dbUser.suspension.id },
+            { $set: { isBlocked: false }, $unset: { suspension: "" } }
+        );
+    }
+
+    return {
+        email: identity.email,
+        uid: identity.uid,
+        role: dbUser.role,
+        isBlocked: suspension?.scope === "full",
+        suspension,
+        isPremium: isMembershipActive(subscription)
+    };
+}
+
 async function verifyToken(req, res, next) {
     const header = req.headers.authorization;
 
@@ -41,39 +103,49 @@ async function verifyToken(req, res, next) {
 
     try {
         const decoded = await admin.auth().verifyIdToken(token);
+        req.user = await loadRequestUser(req, decoded);
 
-        let dbUser = await req.usersCollection.findOne({
-            email: decoded.email
-        });
+        next();
+    } catch (err) {
+        return res.status(401).send({ message: "Invalid token" });
+    }
+}
 
-        if (!dbUser) {
-            const newUser = {
-                email: decoded.email,
-                name: decoded.name || "",
-                image: decoded.picture || "",
-                role: "citizen",
-                premium: false,
-                isBlocked: false,
-                hasPassword: false,
-                createdAt: new Date()
-            };
 
-            await req.usersCollection.insertOne(newUser);
-            dbUser = newUser;
+// Like verifyToken when a token is sent; anonymous requests pass through without req.user
+function optionalAuth(req, res, next) {
+    if (!req.headers.authorization) return next();
+    verifyToken(req, res, next);
+}
+
+// EventSource and <img> cannot send headers, so streams and attachment downloads also
+// accept ?ticket= from POST /tickets: short-lived and useless anywhere else, unlike an ID
+// token in a URL, which would end up in proxy and access logs. ticketAuth(false) lets
+// anonymous requests through.
+function hashTicket(ticket) {
+    return crypto.createHash("sha256").update(String(ticket)).digest("hex");
+}
+
+function ticketAuth(required = true) {
+    return async (req, res, next) => {
+        if (req.headers.authorization || !req.query.ticket) {
+            return required ? verifyToken(req, res, next) : optionalAuth(req, res, next);
         }
 
-        req.user = {
-            email: decoded.email,
-            uid: decoded.uid,
-            role: dbUser.role,
-            isBlocked: dbUser.isBlocked || false,
-            isPremium: dbUser.premium || false
-        };
+        try {
+            const ticket = await req.ticketsCollection.findOne({
+                _id: hashTicket(req.query.ticket),
+                expiresAt: { $gt: new Date() }
+            });
+            if (!ticket) return res.status(401).send({ message: "Invalid or expired ticket" });
+
+            req.user = await loadRequestUser(req, { email: ticket.email, uid: ticket.uid });
+        } catch (err) {
+            return res.status(401).send({ message: "Invalid ticket" });
+        }
 
         next();
-    } catch (err) {
-        return res.status(401).send({ message: "Invalid token" });
-    }
+    };
 }
 
 
@@ -87,669 +159,5510 @@ function requireRole(role) {
     };
 }
 
-// Prevent blocked users from performing certain actions
-function checkBlocked(req, res, next) {
-    if (req.user.isBlocked) {
-        return res.status(403).send({ message: "Your account is blocked" });
+// Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"; admins may also run jobs by hand
+function allowCron(req, res, next) {
+    const secret = process.env.CRON_SECRET;
+
+    if (secret && req.headers.authorization === `Bearer ${secret}`) {
+        return next();
     }
-    next();
+
+    verifyToken(req, res, () => requireRole("admin")(req, res, next));
 }
 
-// Allowed status transitions (staff must follow; admin may bypass)
-const VALID_STATUS_FLOW = {
-    pending: ["in-progress"],
-    "in-progress": ["resolved"],
-    resolved: ["closed"]
-};
+// Suspension in force for a user, or null. Suspensions have a scope: "posting" (no new
+// issues), "commenting" (no comments) or "full" (no writes at all), and stop counting
+// once expiresAt passes. Users blocked before suspensions existed count as "full".
+function activeSuspension(user) {
+    const suspension = user?.suspension || (user?.isBlocked ? { scope: "full", reason: "", expiresAt: null } : null);
+    if (!suspension) return null;
 
+    if (suspension.expiresAt && new Date(suspension.expiresAt) <= new Date()) return null;
 
-async function run() {
-    try {
-        const db = client.db('novapress_db');
-        const usersCollection = db.collection("users");
-        const issuesCollection = db.collection("issues");
-        const timelineCollection = db.collection("timeline");
-        const paymentsCollection = db.collection("payments");
-        const commentsCollection = db.collection("comments");
+    return suspension;
+}
 
-        // make available on req for middlewares that run after this
-        app.use((req, res, next) => {
-            req.usersCollection = usersCollection;
-            req.issuesCollection = issuesCollection;
-            req.timelineCollection = timelineCollection;
-            req.paymentsCollection = paymentsCollection;
-            req.commentsCollection = commentsCollection;
-            next();
-        });
+// Prevent suspended users from performing certain actions. A full suspension refuses
+// every guarded route; "posting"/"commenting" suspensions refuse only routes guarded
+// with that action, e.g. checkBlocked("commenting").
+function checkBlocked(action) {
+    return (req, res, next) => {
+        const suspension = req.user.suspension;
 
+        if (suspension && (suspension.scope === "full" || suspension.scope === action)) {
+            return res.status(403).send({
+                message: "Your account is suspended",
+                suspension: pick(suspension, ["scope", "reason", "expiresAt"])
+            });
+        }
+        next();
+    };
+}
 
-        // -----------------------
-        // USER ROUTES
-        // -----------------------
+// Premium is a Stripe subscription; it only counts while paid up to the period end.
+// "lifetime" memberships (one-off premium bought before subscriptions) never lapse.
+function isMembershipActive(subscription) {
+    return !!subscription &&
+        subscription.status === "active" &&
+        (subscription.plan === "lifetime" || new Date(subscription.currentPeriodEnd) > new Date());
+}
 
-        // Create or upsert user (used after client registers/logins)
-        app.post("/users", async (req, res) => {
-            try {
-                const { email, name, image, hasPassword = false } = req.body;
+// Stripe subscription status -> our membership status
+function toMembershipStatus(stripeStatus) {
+    if (stripeStatus === "active" || stripeStatus === "trialing") return "active";
+    if (stripeStatus === "past_due" || stripeStatus === "unpaid") return "past_due";
+    if (stripeStatus === "incomplete") return "incomplete";
+    return "canceled";
+}
 
-                if (!email) {
-                    return res.status(400).send({ message: "Email required" });
-                }
+// Price IDs for the sellable premium plans
+const PREMIUM_PLANS = {
+    monthly: process.env.STRIPE_PRICE_PREMIUM_MONTHLY,
+    yearly: process.env.STRIPE_PRICE_PREMIUM_YEARLY
+};
 
-                const result = await usersCollection.updateOne(
-                    { email },
-                    {
-                        $setOnInsert: {
-                            email,
-                            name: name || "",
-                            image: image || "",
-                            role: "citizen",
-                            premium: false,
-                            isBlocked: false,
-                            hasPassword,
-                            createdAt: new Date()
-                        }
-                    },
-                    { upsert: true }
-                );
+// Shape of a payments ledger row (status/updatedAt are set by the caller)
+function newLedgerEntry({ purpose, userEmail, amount, currency, issueId, stripePaymentIntentId, stripeInvoiceId, stripeSubscriptionId }) {
+    return {
+        provider: "stripe",
+        purpose,
+        userEmail,
+        amount,
+        currency: (currency || "usd").toLowerCase(),
+        issueId: issueId || null,
+        stripePaymentIntentId: stripePaymentIntentId || null,
+        stripeInvoiceId: stripeInvoiceId || null,
+        stripeSubscriptionId: stripeSubscriptionId || null,
+        createdAt: new Date()
+    };
+}
 
-                res.send({ success: true, result });
-            } catch (err) {
-                res.status(500).send({ error: err.message });
-            }
-        });
+// Build a GeoJSON point (lng, lat order) from latitude/longitude; null if invalid
+function toGeoPoint(lat, lng) {
+    if (lat === undefined || lat === null || lat === "" || lng === undefined || lng === null || lng === "") {
+        return null;
+    }
 
+    const latitude = Number(lat);
+    const longitude = Number(lng);
 
-        app.patch("/users/password-set", verifyToken, async (req, res) => {
-            try {
-                await req.usersCollection.updateOne(
-                    { email: req.user.email },
-                    { $set: { hasPassword: true } }
-                );
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
 
-                res.send({ success: true });
-            } catch (err) {
-                res.status(500).send({ message: "Failed to update password flag" });
-            }
-        });
+    return { type: "Point", coordinates: [longitude, latitude] };
+}
 
+// "lat,lng" query value -> GeoJSON point
+function parseLatLng(value) {
+    const [lat, lng] = String(value).split(",");
+    return toGeoPoint(lat, lng);
+}
 
-        // =========================
-        // USER PROFILE (FINAL, REQUIRED)
-        // =========================
+// "minLng,minLat,maxLng,maxLat" (GeoJSON bbox order) -> GeoJSON polygon
+function parseBbox(value) {
+    const parts = String(value).split(",").map(Number);
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    if (!toGeoPoint(minLat, minLng) || !toGeoPoint(maxLat, maxLng)) return null;
+    if (minLng >= maxLng || minLat >= maxLat) return null;
+
+    return {
+        type: "Polygon",
+        coordinates: [[
+            [minLng, minLat],
+            [maxLng, minLat],
+            [maxLng, maxLat],
+            [minLng, maxLat],
+            [minLng, minLat]
+        ]]
+    };
+}
 
-        // GET own profile (ALL ROLES)
-        app.get("/users/profile", verifyToken, async (req, res) => {
-            try {
-                const email = req.user.email;
+// Words and phrases a search should highlight (excluded -terms are skipped)
+function parseSearchTerms(search) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
 
-                const user = await req.usersCollection.findOne(
-                    { email },
-                    {
-                        projection: {
-                            _id: 0,
-                            name: 1,
-                            email: 1,
-                            image: 1,
-                            role: 1,
-                            isBlocked: 1,
-                            premium: 1,
-                            createdAt: 1
-                        }
-                    }
-                );
+    while ((match = pattern.exec(search)) !== null) {
+        if (match[2] && !match[1]) terms.push(match[2]);
+        if (match[4] && !match[3]) terms.push(match[4]);
+    }
 
-                if (!user) {
-                    return res.status(404).send({ message: "User not found" });
-                }
+    return terms
+        .map(term => term.trim().toLowerCase())
+        .filter(term => term.length > 1);
+}
 
-                res.send({
-                    name: user.name,
-                    email: user.email,
-                    image: user.image,
-                    role: user.role,
-                    isBlocked: user.isBlocked,
-                    isPremium: user.premium,
-                    createdAt: user.createdAt
-                });
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
 
-            } catch (err) {
-                res.status(500).send({ message: "Failed to load profile" });
-            }
-        });
+const SNIPPET_LENGTH = 160;
 
-        app.patch("/users/profile", verifyToken, async (req, res) => {
-            try {
-                const email = req.user.email;
-                const { name, image } = req.body;
+// HTML-escaped title and description excerpt with matches wrapped in <mark>
+function buildHighlights(issue, terms) {
+    if (!terms.length) return null;
 
-                const updateDoc = {
-                    updatedAt: new Date()
-                };
+    // text search is stemmed, so "potholes" should also mark "pothole"
+    const stems = terms.map(term => term.replace(/(ing|es|s)$/, "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const pattern = new RegExp(`((?:${stems.join("|")})\\w*)`, "gi");
 
-                if (name) updateDoc.name = name;
-                if (image) updateDoc.image = image;
+    // split() with a capture group puts the matches at odd indexes
+    const mark = text => String(text)
+        .split(pattern)
+        .map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join("");
 
-                const result = await req.usersCollection.updateOne(
-                    { email },
-                    { $set: updateDoc }
-                );
+    const description = String(issue.description || "");
+    const first = description.search(new RegExp(pattern.source, "i"));
+    const start = first > SNIPPET_LENGTH / 2 ? first - SNIPPET_LENGTH / 2 : 0;
+    let snippet = description.slice(start, start + SNIPPET_LENGTH);
 
-                res.send({ success: true, result });
-            } catch (err) {
-                res.status(500).send({ message: "Profile update failed" });
-            }
-        });
+    snippet = (start > 0 ? "…" : "") + mark(snippet) + (start + SNIPPET_LENGTH < description.length ? "…" : "");
 
+    return {
+        title: mark(issue.title || ""),
+        snippet,
+        location: mark(issue.location || "")
+    };
+}
 
-        // GET user by email (private — returns own user)
-        app.get('/users/:email', verifyToken, async (req, res) => {
-            try {
-                const target = req.params.email;
-                if (req.user.email !== target) return res.status(403).send({ message: "Forbidden" });
-                const user = await usersCollection.findOne({ email: target });
-                res.send(user || {});
-            } catch (err) {
-                res.status(500).send({ error: err.message });
-            }
-        });
+const DEFAULT_NEAR_RADIUS = 5000;   // metres
+const MAX_NEAR_RADIUS = 50000;
 
-        // GET all users (admin only)
-        app.get('/users', verifyToken, requireRole("admin"), async (req, res) => {
-            try {
-                const users = await usersCollection.find().toArray();
-                res.send(users);
-            } catch (err) {
-                res.status(500).send({ message: "Failed to fetch users" });
-            }
-        });
+// $text and $geoNear fail while their index is missing (before prepare-database has run)
+function isMissingIndex(err) {
+    return err?.code === 27 || /text index required|unable to find index for \$geoNear/i.test(err?.message || "");
+}
 
-        // promote to admin / staff / block / premium (admin-only for role changes except premium)
-        app.patch('/users/make-admin/:email', verifyToken, requireRole("admin"), async (req, res) => {
-            try {
-                const email = req.params.email;
-                const result = await usersCollection.updateOne({ email }, { $set: { role: "admin" } });
-                res.send(result);
-            } catch (err) {
-                res.status(500).send({ error: err.message });
-            }
-        });
+// Filter shared by the public issue listings. Returns { filter } or { error }.
+function buildIssueFilter(query) {
+    const { search, status, priority, category, bbox } = query;
 
-        app.patch('/users/make-staff/:email', verifyToken, requireRole("admin"), async (req, res) => {
-            try {
-                const email = req.params.email;
-                const result = await usersCollection.updateOne({ email }, { $set: { role: "staff" } });
-                res.send(result);
-            } catch (err) {
-                res.status(500).send({ error: err.message });
-            }
-        });
+    const filter = {
+        isHidden: false
+    };
 
-        app.patch('/users/block/:email', verifyToken, requireRole("admin"), async (req, res) => {
-            try {
-                const email = req.params.email;
-                const { isBlocked } = req.body;
-                const result = await usersCollection.updateOne({ email }, { $set: { isBlocked: !!isBlocked } });
-                res.send(result);
-            } catch (err) {
-                res.status(500).send({ error: err.message });
-            }
-        });
+    if (status && status !== "All") filter.status = status;
+    if (priority && priority !== "All") filter.priority = priority;
+    if (category && category !== "All") filter.category = category;
 
-        // Make premium (user self)
-        app.patch('/users/premium/:email', verifyToken, async (req, res) => {
-            try {
-                if (req.user.email !== req.params.email) return res.status(403).send({ message: "Cannot modify other users" });
-                const result = await usersCollection.updateOne({ email: req.params.email }, { $set: { premium: true } });
-                res.send(result);
-            } catch (err) {
-                res.status(500).send({ error: err.message });
-            }
-        });
+    // MongoDB text search: supports "exact phrases" and -excluded words
+    if (search && search.trim()) {
+        filter.$text = { $search: search.trim() };
+    }
 
-        // Get role (used by client hooks)
-        app.get("/users/role/:email", verifyToken, async (req, res) => {
-            // If user tries to access someone else's role → downgrade
-            if (req.user.email !== req.params.email) {
-                return res.send({ role: "citizen" });
-            }
+    if (query.overdue === "true") {
+        filter.dueAt = { $lt: new Date() };
+        filter.$and = [...(filter.$and || []), { status: { $nin: CLOSED_STATUSES } }];
+    }
 
-            const user = await usersCollection.findOne({ email: req.params.email });
+    if (bbox) {
+        const polygon = parseBbox(bbox);
+        if (!polygon) return { error: "Invalid bbox. Expected minLng,minLat,maxLng,maxLat" };
+        filter.geo = { $geoWithin: { $geometry: polygon } };
+    }
 
-            // Always return a role
-            res.send({ role: user?.role || "citizen" });
-        });
+    return { filter };
+}
 
-        // --------------------------------------------
-        // UPDATE USER ROLE (ADMIN ONLY)
-        // --------------------------------------------
-        app.patch("/users/role/:email", verifyToken, async (req, res) => {
-            try {
-                // 🔒 only admin can update role
-                const requesterEmail = req.user.email;
+// Numeric priority so sorting puts boosted/high issues first
+// (sorting the strings gives "normal" > "low" > "high")
+const PRIORITY_RANK = { low: 1, normal: 2, high: 3 };
 
-                const adminUser = await usersCollection.findOne({ email: requesterEmail });
-                if (!adminUser || adminUser.role !== "admin") {
-                    return res.status(403).send({ message: "Forbidden access" });
-                }
+function priorityFields(priority) {
+    return { priority, priorityRank: PRIORITY_RANK[priority] || PRIORITY_RANK.normal };
+}
 
-                const targetEmail = req.params.email;
-                const { role } = req.body;
+// -----------------------
+// AUDIT
+// -----------------------
 
-                if (!["citizen", "staff", "admin"].includes(role)) {
-                    return res.status(400).send({ message: "Invalid role" });
-                }
+// Copy the given fields off a document (missing ones as null) for before/after snapshots
+function pick(doc, fields) {
+    if (!doc) return null;
+    return Object.fromEntries(fields.map(field => [field, doc[field] ?? null]));
+}
 
-                const result = await usersCollection.updateOne(
-                    { email: targetEmail },
-                    { $set: { role } }
-                );
+// Filters shared by GET /audit and its export. action takes a comma list of
+// exact actions or prefixes ("user.*"). Returns { filter } or { error }.
+function buildAuditFilter(query) {
+    const filter = {};
 
-                res.send(result);
-            } catch (error) {
-                res.status(500).send({ message: "Role update failed", error });
-            }
-        });
+    if (query.action) {
+        const actions = String(query.action).split(",").map(a => a.trim()).filter(Boolean);
+        if (!actions.every(a => /^[a-z-]+(\.[a-z-]+)*(\.\*)?$/.test(a))) {
+            return { error: "action must be action names or prefixes like user.*" };
+        }
 
+        filter.$or = actions.map(a => a.endsWith(".*")
+            ? { action: { $regex: `^${a.slice(0, -1).replace(/\./g, "\\.")}` } }
+            : { action: a });
+    }
 
+    if (query.actor) filter["actor.email"] = String(query.actor);
+    if (query.targetType) filter["target.type"] = String(query.targetType);
+    if (query.targetId) filter["target.id"] = String(query.targetId);
 
-        // -----------------------
-        // ISSUE ROUTES
-        // -----------------------
+    for (const [param, operator] of [["from", "$gte"], ["to", "$lte"]]) {
+        if (!query[param]) continue;
+
+        const date = new Date(query[param]);
+        if (isNaN(date)) return { error: `${param} must be a date` };
+
+        filter.time = { ...filter.time, [operator]: date };
+    }
+
+    return { filter };
+}
+
+// Stream generated text into the response, respecting backpressure. If the client
+// disconnects the generator is returned early, which closes the cursor it reads from.
+async function streamResponse(res, chunks) {
+    await pipeline(Readable.from(chunks), res);
+}
+
+// One CSV field: quoted when needed; text that a spreadsheet would run as a formula is defused
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === "object") text = JSON.stringify(value);
+    else text = String(value);
+
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// -----------------------
+// ISSUE EXPORT
+// -----------------------
+
+// Columns an export may pick (?columns=a,b,c), in the order given
+const EXPORT_COLUMNS = {
+    id: issue => issue._id.toString(),
+    title: issue => issue.title,
+    description: issue => issue.description,
+    category: issue => issue.category,
+    status: issue => issue.status,
+    priority: issue => issue.priority || "normal",
+    upvotes: issue => issue.upvotes || 0,
+    isBoosted: issue => !!issue.isBoosted,
+    location: issue => issue.location,
+    area: issue => issue.area,
+    latitude: issue => issue.geo?.coordinates?.[1],
+    longitude: issue => issue.geo?.coordinates?.[0],
+    reporterEmail: issue => issue.reporterEmail,
+    assignedStaff: issue => issue.assignedStaff,
+    reportedAt: issue => issue.reportedAt,
+    assignedAt: issue => issue.assignedAt,
+    updatedAt: issue => issue.updatedAt,
+    dueAt: issue => issue.dueAt,
+    isOverdue: issue => isIssueOverdue(issue),
+    rating: issue => issue.rating?.value,
+    timelineCount: issue => issue.timelineCount,
+    commentCount: issue => issue.commentCount
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+    "id", "title", "category", "status", "priority", "upvotes", "location", "area",
+    "latitude", "longitude", "reporterEmail", "assignedStaff", "reportedAt", "updatedAt"
+];
+
+const EXPORT_FORMATS = ["csv", "excel", "geojson"];
+
+// GET /issues filters plus from/to (reportedAt) and assignee (an email, or "none"),
+// format and columns. Returns { filter, format, columns } or { error }.
+function parseExportQuery(query) {
+    const { filter, error } = buildIssueFilter(query);
+    if (error) return { error };
+
+    const format = query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of ${EXPORT_FORMATS.join(", ")}` };
+
+    for (const [param, operator] of [["from", "$gte"], ["to", "$lte"]]) {
+        if (!query[param]) continue;
+
+        const date = new Date(query[param]);
+        if (isNaN(date)) return { error: `${param} must be a date` };
+
+        filter.reportedAt = { ...filter.reportedAt, [operator]: date };
+    }
+
+    if (query.assignee === "none") filter.assignedStaff = { $in: [null, ""] };
+    else if (query.assignee) filter.assignedStaff = String(query.assignee);
+
+    const columns = query.columns
+        ? String(query.columns).split(",").map(c => c.trim()).filter(Boolean)
+        : [...DEFAULT_EXPORT_COLUMNS];
+    const unknown = columns.filter(c => !EXPORT_COLUMNS[c]);
+    if (unknown.length) return { error: `Unknown columns: ${unknown.join(", ")}` };
+    if (!columns.length) return { error: "columns must list at least one column" };
+
+    // ?counts=true adds both count columns
+    if (query.counts === "true") {
+        for (const column of ["timelineCount", "commentCount"]) {
+            if (!columns.includes(column)) columns.push(column);
+        }
+    }
+
+    return { filter, format, columns };
+}
+
+// -----------------------
+// MODERATION
+// -----------------------
+
+const MODERATION_ACTIONS = ["hide", "unhide", "dismiss", "hide-and-block"];
+
+// Keywords from the moderation list that appear in the text as whole words (any case)
+function matchKeywords(text, keywords) {
+    const haystack = String(text || "").toLowerCase();
+
+    return keywords.filter(keyword => {
+        const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "u").test(haystack);
+    });
+}
+
+// Internal comments (and their timeline rows) are for staff and admins only
+function canSeeInternal(user) {
+    return !!user && (user.role === "staff" || user.role === "admin");
+}
+
+// "@someone@example.com" mentions in comment text, lower-cased and de-duplicated
+function parseMentions(text) {
+    const matches = String(text || "").match(/@[^\s@]+@[^\s@]+\.[a-z]{2,}/gi) || [];
+    return [...new Set(matches.map(mention => mention.slice(1).toLowerCase()))];
+}
+
+// Statuses after which an issue no longer counts as open
+const CLOSED_STATUSES = ["resolved", "closed", "rejected"];
+
+// Private view of an issue: its reporter, its assigned staff member, or an admin.
+// Returns the 403 message, or null when access is allowed.
+function issueAccessError(user, issue) {
+    if (!user) return "Forbidden";
+
+    if (user.role === "citizen" || user.role === "user") {
+        if (issue.reporterEmail !== user.email) return "Forbidden: Not your issue";
+    } else if (user.role === "staff") {
+        if (issue.assignedStaff !== user.email) return "Forbidden: Not assigned to you";
+    }
+    // admin allowed
+
+    return null;
+}
+
+// -----------------------
+// SLA
+// -----------------------
+
+// Fallback SLA targets per priority, used when no stored policy matches
+const DEFAULT_SLA_POLICIES = {
+    high: { acknowledgeHours: 4, resolveHours: 48 },
+    normal: { acknowledgeHours: 24, resolveHours: 120 },
+    low: { acknowledgeHours: 72, resolveHours: 336 }
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Issues recomputed per sla-check run after a policy change
+const SLA_RECOMPUTE_BATCH = 500;
+
+// Due dates run from when the issue was reported, so a reprioritised issue
+// gets the new targets without resetting the clock
+function computeSlaDates(issue, policy) {
+    const reportedAt = new Date(issue.reportedAt || Date.now()).getTime();
+
+    return {
+        acknowledgeBy: new Date(reportedAt + policy.acknowledgeHours * HOUR),
+        dueAt: new Date(reportedAt + policy.resolveHours * HOUR)
+    };
+}
+
+function isIssueOverdue(issue, now = new Date()) {
+    if (!issue.dueAt || CLOSED_STATUSES.includes(issue.status)) return false;
+    return new Date(issue.dueAt) < now;
+}
+
+function withOverdueFlag(items) {
+    const now = new Date();
+    return items.map(item => ({ ...item, isOverdue: isIssueOverdue(item, now) }));
+}
+
+function raisedPriority(priority) {
+    if (priority === "low") return "normal";
+    return "high";
+}
+
+// -----------------------
+// BACKGROUND JOBS
+// -----------------------
+
+// Jobs run on an interval in a long-lived process. On Vercel (no long-lived
+// process) the same jobs are triggered through GET /jobs/:name by Vercel Cron.
+const jobs = {};
+
+// A prepare-database run still holding its lock after this is assumed dead
+const PREPARE_LOCK_TIMEOUT = 30 * 60 * 1000;
+
+function registerJob(name, intervalMinutes, fn) {
+    jobs[name] = fn;
+
+    if (!process.env.VERCEL) {
+        setInterval(() => {
+            fn().catch(err => console.error(`Job ${name} failed:`, err));
+        }, intervalMinutes * 60 * 1000).unref();
+    }
+}
+
+// -----------------------
+// E-MAIL
+// -----------------------
+
+const mailTransport = createTransport();
+
+const CLIENT_URL = process.env.CLIENT_URL || "https://novapress-infra.vercel.app";
+// public address of this API, for links in emails (unsubscribe); required on Vercel
+const API_URL = process.env.API_URL || (port && !process.env.VERCEL ? `http://localhost:${port}` : null);
+
+if (!process.env.MAIL_LINK_SECRET || !API_URL) {
+    console.warn("MAIL_LINK_SECRET or API_URL is not set: emails will go out without unsubscribe links");
+}
+
+const EMAIL_MAX_ATTEMPTS = 6;
+const EMAIL_BATCH_SIZE = 50;
+const EMAIL_CLAIM_TIMEOUT = 10 * 60 * 1000;   // a "sending" row older than this is retried
+
+// 2, 4, 8, 16, 32 minutes between attempts
+function emailRetryDelay(attempts) {
+    return 2 ** attempts * 60 * 1000;
+}
+
+function issueUrl(issueId) {
+    return `${CLIENT_URL}/issues/${issueId}`;
+}
+
+// Opt-out links carry a signed token so they work without logging in (null when not configured)
+function unsubscribeUrl(email) {
+    if (!process.env.MAIL_LINK_SECRET || !API_URL) return null;
+
+    const token = jwt.sign({ email, purpose: "unsubscribe" }, process.env.MAIL_LINK_SECRET);
+    return `${API_URL}/email/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+// -----------------------
+// OUTGOING WEBHOOKS
+// -----------------------
+
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+const WEBHOOK_BATCH_SIZE = 50;
+const WEBHOOK_CLAIM_TIMEOUT = 5 * 60 * 1000;
+
+// 1, 2, 4 ... minutes between attempts, at most 6 hours
+function webhookRetryDelay(attempts) {
+    return Math.min(2 ** (attempts - 1), 6 * 60) * 60 * 1000;
+}
+
+// Stripe-style signature: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// -----------------------
+// ATTACHMENTS
+// -----------------------
+
+const storage = createStorage();
+
+if (process.env.VERCEL && storage.name === "local") {
+    console.warn("Local attachment storage is read-only and ephemeral on Vercel: uploads will fail or disappear");
+}
+
+// Vercel rejects request bodies over ~4.5 MB, so a whole upload (all files) stays under that
+const ATTACHMENT_MAX_BYTES = 4 * 1024 * 1024;
+const ATTACHMENT_MAX_FILES = 5;
+const IMAGE_MAX_EDGE = 2560;    // px; larger photos are scaled down
+const THUMBNAIL_EDGE = 320;
+
+// Accepted upload types and the extension they are stored under
+const ATTACHMENT_TYPES = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "application/pdf": "pdf"
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ATTACHMENT_MAX_BYTES, files: ATTACHMENT_MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        if (ATTACHMENT_TYPES[file.mimetype]) return cb(null, true);
+        cb(new Error(`Unsupported file type ${file.mimetype}. Allowed: ${Object.keys(ATTACHMENT_TYPES).join(", ")}`));
+    }
+});
+
+// Parse multipart "files" into req.files, answering upload problems in the usual error shape
+function uploadFiles(req, res, next) {
+    const tooLarge = () => res.status(413).send({ message: `Uploads must be at most ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB in total` });
+
+    if (Number(req.headers["content-length"]) > ATTACHMENT_MAX_BYTES) return tooLarge();
+
+    upload.array("files", ATTACHMENT_MAX_FILES)(req, res, err => {
+        if (!err) {
+            const total = (req.files || []).reduce((sum, file) => sum + file.size, 0);
+            return total > ATTACHMENT_MAX_BYTES ? tooLarge() : next();
+        }
+
+        if (err.code === "LIMIT_FILE_SIZE") return tooLarge();
+        if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+            return res.status(400).send({ message: `Upload at most ${ATTACHMENT_MAX_FILES} files in the "files" field` });
+        }
+        if (err instanceof multer.MulterError) return res.status(400).send({ message: err.message });
+
+        res.status(415).send({ message: err.message });
+    });
+}
+
+// Check and clean one uploaded file. Images are decoded (so a renamed file is caught),
+// auto-rotated, scaled down and re-encoded without metadata, which drops EXIF and GPS;
+// each also gets a WebP thumbnail. Returns the cleaned file or { error }.
+async function processAttachment(file) {
+    if (file.mimetype === "application/pdf") {
+        if (file.buffer.subarray(0, 5).toString("latin1") !== "%PDF-") {
+            return { error: `${file.originalname} is not a valid PDF` };
+        }
+        return { kind: "file", buffer: file.buffer, contentType: "application/pdf", ext: "pdf" };
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch {
+        return { error: `${file.originalname} is not a valid image` };
+    }
+
+    const contentType = `image/${metadata.format}`;
+    if (!ATTACHMENT_TYPES[contentType] || contentType === "application/pdf") {
+        return { error: `${file.originalname}: ${metadata.format} images are not supported` };
+    }
+
+    const { data, info } = await sharp(file.buffer)
+        .rotate()
+        .resize({ width: IMAGE_MAX_EDGE, height: IMAGE_MAX_EDGE, fit: "inside", withoutEnlargement: true })
+        .toFormat(metadata.format)
+        .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(data)
+        .resize({ width: THUMBNAIL_EDGE, height: THUMBNAIL_EDGE, fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+
+    return {
+        kind: "photo",
+        buffer: data,
+        contentType,
+        ext: ATTACHMENT_TYPES[contentType],
+        width: info.width,
+        height: info.height,
+        thumbnail
+    };
+}
+
+// Public shape of an attachment: storage keys stay on the server
+function attachmentView(attachment) {
+    const { key, thumbnailKey, ...rest } = attachment;
+    const id = attachment._id.toString();
+
+    return {
+        ...rest,
+        url: `/attachments/${id}/file`,
+        thumbnailUrl: thumbnailKey ? `/attachments/${id}/thumbnail` : null
+    };
+}
+
+// Server-Sent Events
+const STREAM_RETENTION_HOURS = 24;     // how far back Last-Event-ID replay reaches
+const STREAM_POLL_INTERVAL = 2 * 1000; // how often an instance with open streams looks for new events
+const STREAM_GAP_TIMEOUT = 10 * 1000;  // a missing seq older than this was never written
+const STREAM_HEARTBEAT = 25 * 1000;    // keeps proxies from closing idle streams
+// serverless functions are cut off after a time limit, so streams end before it and
+// EventSource reconnects (with Last-Event-ID); 0 = no limit
+const STREAM_MAX_DURATION = (Number(process.env.STREAM_MAX_SECONDS) || (process.env.VERCEL ? 55 : 0)) * 1000;
+const TICKET_TTL = 60 * 1000;          // lifetime of a ?ticket= from POST /tickets
+
+// Duplicate detection tuning
+const DUPLICATE_RADIUS = 150;          // metres
+const DUPLICATE_LOOKBACK_DAYS = 90;    // used when the issue has no coordinates
+const DUPLICATE_THRESHOLD = 0.35;
+
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "at", "for", "from", "in", "is", "it", "near", "of", "on",
+    "or", "the", "there", "this", "to", "very", "was", "with"
+]);
+
+function tokenize(text) {
+    return new Set(
+        String(text || "")
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    );
+}
+
+// Jaccard similarity of two token sets (0..1)
+function textSimilarity(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    for (const word of a) if (b.has(word)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+// Great-circle distance in metres between two GeoJSON points
+function distanceBetween(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const [lng1, lat1] = a.coordinates;
+    const [lng2, lat2] = b.coordinates;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+// -----------------------
+// PAGINATION
+// -----------------------
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort orders for issue listings. Every key set ends in _id so cursors are stable.
+const ISSUE_SORTS = {
+    priority: { priorityRank: -1, reportedAt: -1, _id: -1 },
+    newest: { reportedAt: -1, _id: -1 },
+    upvotes: { upvotes: -1, reportedAt: -1, _id: -1 },
+    updated: { updatedAt: -1, _id: -1 },
+    "oldest-open": { reportedAt: 1, _id: 1 }
+};
+
+// sort=trending: votes divided by age, Hacker News style. Higher gravity sinks older issues faster.
+const TRENDING_GRAVITY = 1.5;
+
+function trendingStages(now = new Date()) {
+    const ageHours = { $divide: [{ $subtract: [now, { $ifNull: ["$reportedAt", now] }] }, 60 * 60 * 1000] };
+
+    return [
+        {
+            $set: {
+                trendingScore: {
+                    $divide: [{ $ifNull: ["$upvotes", 0] }, { $pow: [{ $add: [{ $max: [ageHours, 0] }, 2] }, TRENDING_GRAVITY] }]
+                }
+            }
+        },
+        { $sort: { trendingScore: -1, reportedAt: -1, _id: -1 } }
+    ];
+}
+
+// Requested page size, capped at MAX_PAGE_SIZE; null when `limit` isn't a positive whole number
+function pageSize(limit, fallback = DEFAULT_PAGE_SIZE) {
+    if (limit === undefined || limit === "") return fallback;
+    if (!/^\d+$/.test(String(limit)) || Number(limit) < 1) return null;
+    return Math.min(Number(limit), MAX_PAGE_SIZE);
+}
+
+// Opaque `after=` tokens. EJSON keeps Dates and ObjectIds intact.
+function encodeCursor(value) {
+    return Buffer.from(BSON.EJSON.stringify(value)).toString("base64url");
+}
+
+function decodeCursor(token) {
+    try {
+        return BSON.EJSON.parse(Buffer.from(String(token), "base64url").toString());
+    } catch (err) {
+        return null;
+    }
+}
+
+// Keyset condition for "everything after this row" under the given sort
+function afterFilter(sort, values) {
+    const keys = Object.keys(sort);
+
+    return {
+        $or: keys.map((key, i) => {
+            const clause = {};
+            keys.slice(0, i).forEach(prev => { clause[prev] = values[prev]; });
+            clause[key] = { [sort[key] === 1 ? "$gt" : "$lt"]: values[key] };
+            return clause;
+        })
+    };
+}
+
+// One page of a find() query: { items, nextCursor, hasMore } or { error }.
+// Plain key sorts use keyset cursors; computed sorts (text score) fall back to
+// an offset inside the cursor. `page` keeps the old skip/limit mode (with total).
+async function findPage(collection, filter, sort, query, projection = {}) {
+    const limit = pageSize(query.limit);
+    if (!limit) return { error: "limit must be a positive whole number" };
+    const keyset = Object.values(sort).every(dir => dir === 1 || dir === -1);
+
+    let cursor = null;
+    if (query.after) {
+        cursor = decodeCursor(query.after);
+        if (!cursor || (keyset ? !cursor.k : typeof cursor.o !== "number")) {
+            return { error: "Invalid cursor" };
+        }
+    }
+
+    let pageFilter = filter;
+    let skip = 0;
+
+    if (cursor && keyset) pageFilter = { $and: [filter, afterFilter(sort, cursor.k)] };
+    if (cursor && !keyset) skip = cursor.o;
+    if (!cursor && query.page) skip = (Math.max(parseInt(query.page, 10) || 1, 1) - 1) * limit;
+
+    const rows = await collection
+        .find(pageFilter, { projection })
+        .sort(sort)
+        .skip(skip)
+        .limit(limit + 1)
+        .toArray();
+
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+
+    let nextCursor = null;
+    if (hasMore && keyset) {
+        const k = {};
+        Object.keys(sort).forEach(key => { k[key] = last[key] ?? null; });
+        nextCursor = encodeCursor({ k });
+    } else if (hasMore) {
+        nextCursor = encodeCursor({ o: skip + limit });
+    }
+
+    const result = { items, nextCursor, hasMore };
+    if (query.page && !query.after) result.total = await collection.countDocuments(filter);
+
+    return result;
+}
+
+// Offset-cursor page of an aggregation (for computed orders such as distance)
+async function aggregatePage(collection, pipeline, query) {
+    const limit = pageSize(query.limit);
+    if (!limit) return { error: "limit must be a positive whole number" };
+
+    let skip = 0;
+    if (query.after) {
+        const cursor = decodeCursor(query.after);
+        if (!cursor || typeof cursor.o !== "number") return { error: "Invalid cursor" };
+        skip = cursor.o;
+    } else if (query.page) {
+        skip = (Math.max(parseInt(query.page, 10) || 1, 1) - 1) * limit;
+    }
+
+    const rows = await collection.aggregate([...pipeline, { $skip: skip }, { $limit: limit + 1 }]).toArray();
+    const hasMore = rows.length > limit;
+
+    return {
+        items: rows.slice(0, limit),
+        nextCursor: hasMore ? encodeCursor({ o: skip + limit }) : null,
+        hasMore
+    };
+}
+
+// -----------------------
+// VOTE HISTORY
+// -----------------------
+
+// Accounts younger than this count as fresh; this many fresh-account votes on one
+// issue within one window is reported as a burst (possible brigading)
+const FRESH_ACCOUNT_DAYS = Number(process.env.FRESH_ACCOUNT_DAYS) || 3;
+const VOTE_BURST_WINDOW_MINUTES = Number(process.env.VOTE_BURST_WINDOW_MINUTES) || 60;
+const VOTE_BURST_THRESHOLD = Number(process.env.VOTE_BURST_THRESHOLD) || 5;
+
+function isFreshAccount(user, now = new Date()) {
+    if (!user?.createdAt) return false;
+    return now - new Date(user.createdAt) < FRESH_ACCOUNT_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Bursts of fresh-account votes: a sliding window ending at each vote, so a burst is
+// caught wherever it starts. Overlapping windows at the threshold merge into one burst.
+function voteBurstStages() {
+    const window = { range: [-VOTE_BURST_WINDOW_MINUTES, 0], unit: "minute" };
+
+    return [
+        { $match: { action: "added", freshAccount: true } },
+        {
+            $setWindowFields: {
+                partitionBy: "$issueId",
+                sortBy: { time: 1 },
+                output: {
+                    windowVotes: { $count: {}, window },
+                    windowStart: { $min: "$time", window },
+                    windowVoters: { $addToSet: "$userEmail", window }
+                }
+            }
+        },
+        { $match: { windowVotes: { $gte: VOTE_BURST_THRESHOLD } } },
+        // a window starting after the previous qualifying vote doesn't overlap it: new burst
+        {
+            $setWindowFields: {
+                partitionBy: "$issueId",
+                sortBy: { time: 1 },
+                output: { previousTime: { $shift: { output: "$time", by: -1 } } }
+            }
+        },
+        {
+            $set: {
+                startsBurst: {
+                    $cond: [{ $or: [{ $eq: ["$previousTime", null] }, { $gt: ["$windowStart", "$previousTime"] }] }, 1, 0]
+                }
+            }
+        },
+        {
+            $setWindowFields: {
+                partitionBy: "$issueId",
+                sortBy: { time: 1 },
+                output: { burst: { $sum: "$startsBurst", window: { documents: ["unbounded", "current"] } } }
+            }
+        },
+        {
+            $group: {
+                _id: { issueId: "$issueId", burst: "$burst" },
+                windowStart: { $min: "$windowStart" },
+                windowEnd: { $max: "$time" },
+                voterSets: { $push: "$windowVoters" }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                issueId: "$_id.issueId",
+                windowStart: 1,
+                windowEnd: 1,
+                voters: { $reduce: { input: "$voterSets", initialValue: [], in: { $setUnion: ["$$value", "$$this"] } } }
+            }
+        },
+        { $set: { votes: { $size: "$voters" } } },
+        { $sort: { windowStart: -1, issueId: 1 } }
+    ];
+}
+
+// -----------------------
+// ANALYTICS
+// -----------------------
+
+const ANALYTICS_GRANULARITIES = ["day", "week", "month"];
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_PERIODS = 400;
+
+// Timeline rows for a move into "resolved" (older rows predate the event field; comments,
+// confirmations and ratings on resolved issues carry the status too)
+const RESOLVED_TRANSITION = { status: "resolved", $or: [{ event: "status-changed" }, { event: { $exists: false } }] };
+
+// Start of the UTC day, Monday-based week or month containing date (matches $dateTrunc)
+function periodStart(date, granularity) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (granularity === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    if (granularity === "month") d.setUTCDate(1);
+    return d;
+}
+
+function periodStarts(from, to, granularity) {
+    const periods = [];
+    for (let d = periodStart(from, granularity); d <= to && periods.length <= ANALYTICS_MAX_PERIODS;) {
+        periods.push(new Date(d));
+        if (granularity === "day") d.setUTCDate(d.getUTCDate() + 1);
+        if (granularity === "week") d.setUTCDate(d.getUTCDate() + 7);
+        if (granularity === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+    }
+    return periods;
+}
+
+// from/to (dates, default the last 30 days) and granularity. Returns { from, to, granularity, periods } or { error }.
+function parseAnalyticsQuery(query) {
+    const granularity = query.granularity || "day";
+    if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+        return { error: `granularity must be one of ${ANALYTICS_GRANULARITIES.join(", ")}` };
+    }
+
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * 24 * HOUR);
+
+    if (isNaN(from)) return { error: "from must be a date" };
+    if (isNaN(to)) return { error: "to must be a date" };
+    if (from > to) return { error: "from must be before to" };
+
+    const periods = periodStarts(from, to, granularity);
+    if (periods.length > ANALYTICS_MAX_PERIODS) {
+        return { error: `Too many ${granularity}s in that range, use a coarser granularity` };
+    }
+
+    return { from, to, granularity, periods };
+}
+
+// Mean and median of a numeric field (milliseconds) across the documents in a $facet
+function durationStages(field) {
+    return [
+        { $match: { [field]: { $gte: 0 } } },
+        { $sort: { [field]: 1 } },
+        { $group: { _id: null, mean: { $avg: `$${field}` }, values: { $push: `$${field}` } } },
+        {
+            $project: {
+                _id: 0,
+                count: { $size: "$values" },
+                mean: 1,
+                median: {
+                    $let: {
+                        vars: { mid: { $divide: [{ $subtract: [{ $size: "$values" }, 1] }, 2] } },
+                        in: {
+                            $avg: [
+                                { $arrayElemAt: ["$values", { $floor: "$$mid" }] },
+                                { $arrayElemAt: ["$values", { $ceil: "$$mid" }] }
+                            ]
+                        }
+                    }
+                }
+            }
+        }
+    ];
+}
+
+// Created / open / resolved counts and average time-to-resolve per value of key
+function breakdownStages(key, fallback, limit = 50) {
+    return [
+        {
+            $group: {
+                _id: { $ifNull: [key, fallback] },
+                created: { $sum: 1 },
+                open: { $sum: { $cond: [{ $in: ["$status", CLOSED_STATUSES] }, 0, 1] } },
+                resolved: { $sum: { $cond: [{ $isNumber: "$resolveMs" }, 1, 0] } },
+                resolveMs: { $avg: "$resolveMs" }
+            }
+        },
+        { $sort: { created: -1, _id: 1 } },
+        { $limit: limit }
+    ];
+}
+
+function toHours(ms) {
+    return typeof ms === "number" ? Math.round(ms / HOUR * 10) / 10 : null;
+}
+
+// -----------------------
+// STATUS WORKFLOWS
+// -----------------------
+
+// Built-in lifecycle, used for any category without its own definition in
+// the workflows collection. Each transition lists who may perform it and
+// which request fields it requires.
+const DEFAULT_WORKFLOW = {
+    category: "default",
+    statuses: ["pending", "in-progress", "resolved", "closed", "rejected", "reopened"],
+    initialStatus: "pending",
+    assignStatus: "in-progress",
+    transitions: [
+        { from: "pending", to: "in-progress", roles: ["staff", "admin"], requires: [] },
+        { from: "pending", to: "rejected", roles: ["admin"], requires: ["note"] },
+        { from: "in-progress", to: "resolved", roles: ["staff", "admin"], requires: [] },
+        { from: "resolved", to: "closed", roles: ["staff", "admin"], requires: ["confirmation"] },
+        { from: "resolved", to: "reopened", roles: ["admin"], requires: ["note"] },
+        { from: "closed", to: "reopened", roles: ["admin"], requires: ["note"] },
+        { from: "rejected", to: "reopened", roles: ["admin"], requires: ["note"] },
+        { from: "reopened", to: "in-progress", roles: ["staff", "admin"], requires: [] }
+    ]
+};
+
+// Stamped on saved workflows; those from before version 2 predate reporter confirmation
+const WORKFLOW_VERSION = 2;
+
+// Request field that satisfies each transition requirement ("proof" = uploaded proof photos;
+// "confirmation" is filled in by the server, never by the client)
+const REQUIREMENT_FIELDS = { note: "note", proof: "proofIds", confirmation: "confirmation" };
+
+// Errors for requirements the caller can't satisfy by sending a field
+const REQUIREMENT_ERRORS = {
+    confirmation: (from, to) => `The reporter has to confirm the resolution (or let the confirmation window pass) before moving from ${from} to ${to}`
+};
+
+// Check a status change against a workflow: { transition } or { status, error }
+function checkTransition(workflow, from, to, role, body = {}) {
+    if (!workflow.statuses.includes(to)) {
+        return { status: 400, error: `Unknown status "${to}". Allowed: ${workflow.statuses.join(", ")}` };
+    }
+
+    const transition = workflow.transitions.find(t => t.from === from && t.to === to);
+
+    if (!transition) {
+        const allowed = workflow.transitions.filter(t => t.from === from).map(t => t.to);
+        return { status: 400, error: `Invalid status update. Allowed: ${from} → ${allowed.join(", ") || "none"}` };
+    }
+
+    if (!transition.roles.includes(role)) {
+        return { status: 403, error: `Forbidden: ${role} cannot move an issue from ${from} to ${to}` };
+    }
+
+    for (const requirement of transition.requires || []) {
+        const field = REQUIREMENT_FIELDS[requirement] || requirement;
+        const value = body[field];
+        const present = Array.isArray(value) ? value.length > 0 : value && String(value).trim();
+
+        if (!present) {
+            const error = REQUIREMENT_ERRORS[requirement]?.(from, to) || `"${field}" is required to move an issue from ${from} to ${to}`;
+            return { status: 400, error };
+        }
+    }
+
+    return { transition };
+}
+
+// How long a reporter has to confirm or reopen a resolution before staff may close it anyway
+const CONFIRMATION_WINDOW_DAYS = Number(process.env.CONFIRMATION_WINDOW_DAYS) || 7;
+
+// Statuses where an issue waits on its reporter: those with a way out that requires confirmation
+function confirmationStatuses(workflow) {
+    return workflow.transitions.filter(t => (t.requires || []).includes("confirmation")).map(t => t.from);
+}
+
+// Confirmed, or the window lapsed without an answer. Issues that reached the status before
+// confirmations were asked for carry no confirmation and aren't held up.
+function isConfirmationSettled(issue, now = new Date()) {
+    const confirmation = issue.confirmation;
+    if (!confirmation) return true;
+    if (confirmation.status === "confirmed") return true;
+    return confirmation.status === "pending" && new Date(confirmation.deadline) <= now;
+}
+
+// The open confirmation the reporter may still answer, or null
+function openConfirmation(issue, now = new Date()) {
+    const confirmation = issue.confirmation;
+    if (!confirmation || confirmation.status !== "pending") return null;
+    return new Date(confirmation.deadline) > now ? confirmation : null;
+}
+
+
+async function run() {
+    try {
+        const db = client.db('novapress_db');
+        const usersCollection = db.collection("users");
+        const issuesCollection = db.collection("issues");
+        const timelineCollection = db.collection("timeline");
+        const paymentsCollection = db.collection("payments");
+        const commentsCollection = db.collection("comments");
+        const stripeEventsCollection = db.collection("stripeEvents");
+        const subscriptionsCollection = db.collection("subscriptions");
+        const workflowsCollection = db.collection("workflows");
+        const slaPoliciesCollection = db.collection("slaPolicies");
+        const settingsCollection = db.collection("settings");
+        const departmentsCollection = db.collection("departments");
+        const notificationsCollection = db.collection("notifications");
+        const emailQueueCollection = db.collection("emailQueue");
+        const emailDigestCollection = db.collection("emailDigest");
+        const webhooksCollection = db.collection("webhooks");
+        const webhookDeliveriesCollection = db.collection("webhookDeliveries");
+        const auditCollection = db.collection("audit");
+        const appealsCollection = db.collection("appeals");
+        const flagsCollection = db.collection("flags");
+        const attachmentsCollection = db.collection("attachments");
+        const ratingsCollection = db.collection("ratings");
+        const votesCollection = db.collection("votes");
+        const streamEventsCollection = db.collection("streamEvents");
+        const countersCollection = db.collection("counters");
+        const ticketsCollection = db.collection("tickets");
+
+        // settles once this process has run its migrations and index builds (see prepareDatabase)
+        let databaseReady = Promise.resolve();
+
+        // -----------------------
+        // TIMELINE EVENTS
+        // -----------------------
+
+        // Everything that happens to an issue goes through recordTimeline. Each row
+        // carries an `event` type; subscribers (notifications etc.) are awaited so
+        // their work finishes inside the request, and their failures are only logged.
+        const timelineSubscribers = [];
+
+        function onTimeline(subscriber) {
+            timelineSubscribers.push(subscriber);
+        }
+
+        async function recordTimeline(entry) {
+            const doc = { ...entry, time: entry.time || new Date() };
+            const result = await timelineCollection.insertOne(doc);
+
+            const outcomes = await Promise.allSettled(timelineSubscribers.map(subscriber => subscriber(doc)));
+            outcomes
+                .filter(outcome => outcome.status === "rejected")
+                .forEach(outcome => console.error("Timeline subscriber failed:", outcome.reason));
+
+            return result;
+        }
+
+        // Append-only record of admin and other privileged actions: who did what to
+        // which target, with before/after values. Nothing updates or deletes these rows.
+        async function recordAudit(req, { action, targetType, targetId, before = null, after = null }) {
+            await auditCollection.insertOne({
+                action,
+                actor: { email: req.user.email, role: req.user.role },
+                target: { type: targetType, id: String(targetId) },
+                before,
+                after,
+                ip: req.ip,
+                userAgent: req.get("User-Agent") || "",
+                time: new Date()
+            });
+        }
+
+        // make available on req for middlewares that run after this
+        app.use((req, res, next) => {
+            req.usersCollection = usersCollection;
+            req.issuesCollection = issuesCollection;
+            req.timelineCollection = timelineCollection;
+            req.paymentsCollection = paymentsCollection;
+            req.commentsCollection = commentsCollection;
+            req.subscriptionsCollection = subscriptionsCollection;
+            req.ticketsCollection = ticketsCollection;
+            next();
+        });
+
+
+        // -----------------------
+        // USER ROUTES
+        // -----------------------
+
+        // Create or upsert user (used after client registers/logins)
+        app.post("/users", validate(schemas.userUpsert), async (req, res) => {
+            try {
+                const { email, name, image, hasPassword = false } = req.body;
+
+                const result = await usersCollection.updateOne(
+                    { email },
+                    {
+                        $setOnInsert: {
+                            email,
+                            name: name || "",
+                            image: image || "",
+                            role: "citizen",
+                            isBlocked: false,
+                            hasPassword,
+                            createdAt: new Date()
+                        }
+                    },
+                    { upsert: true }
+                );
+
+                res.send({ success: true, result });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        app.patch("/users/password-set", verifyToken, async (req, res) => {
+            try {
+                await req.usersCollection.updateOne(
+                    { email: req.user.email },
+                    { $set: { hasPassword: true } }
+                );
+
+                res.send({ success: true });
+            } catch (err) {
+                res.status(500).send({ message: "Failed to update password flag" });
+            }
+        });
+
+
+        // =========================
+        // USER PROFILE (FINAL, REQUIRED)
+        // =========================
+
+        // GET own profile (ALL ROLES)
+        app.get("/users/profile", verifyToken, async (req, res) => {
+            try {
+                const email = req.user.email;
+
+                const user = await req.usersCollection.findOne(
+                    { email },
+                    {
+                        projection: {
+                            _id: 0,
+                            name: 1,
+                            email: 1,
+                            image: 1,
+                            role: 1,
+                            isBlocked: 1,
+                            createdAt: 1
+                        }
+                    }
+                );
+
+                if (!user) {
+                    return res.status(404).send({ message: "User not found" });
+                }
+
+                res.send({
+                    name: user.name,
+                    email: user.email,
+                    image: user.image,
+                    role: user.role,
+                    isBlocked: req.user.isBlocked,
+                    suspension: req.user.suspension ? pick(req.user.suspension, ["scope", "reason", "expiresAt"]) : null,
+                    isPremium: req.user.isPremium,
+                    createdAt: user.createdAt
+                });
+
+            } catch (err) {
+                res.status(500).send({ message: "Failed to load profile" });
+            }
+        });
+
+        app.patch("/users/profile", verifyToken, checkBlocked(), validate(schemas.profileUpdate, {
+            readOnly: ["email", "role", "isBlocked", "hasPassword", "createdAt"]
+        }), async (req, res) => {
+            try {
+                const email = req.user.email;
+                const { name, image } = req.body;
+
+                const updateDoc = {
+                    updatedAt: new Date()
+                };
+
+                if (name) updateDoc.name = name;
+                if (image) updateDoc.image = image;
+
+                const result = await req.usersCollection.updateOne(
+                    { email },
+                    { $set: updateDoc }
+                );
+
+                res.send({ success: true, result });
+            } catch (err) {
+                res.status(500).send({ message: "Profile update failed" });
+            }
+        });
+
+
+        // GET user by email (private — returns own user)
+        app.get('/users/:email', verifyToken, async (req, res) => {
+            try {
+                const target = req.params.email;
+                if (req.user.email !== target) return res.status(403).send({ message: "Forbidden" });
+                const user = await usersCollection.findOne({ email: target });
+                res.send(user || {});
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET all users (admin only)
+        app.get('/users', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const users = await usersCollection.find().toArray();
+                res.send(users);
+            } catch (err) {
+                res.status(500).send({ message: "Failed to fetch users" });
+            }
+        });
+
+        // Change a user's privileged fields and audit the change
+        async function updateUserAudited(req, email, changes, action) {
+            const fields = Object.keys(changes);
+            const before = await usersCollection.findOne({ email }, { projection: Object.fromEntries(fields.map(f => [f, 1])) });
+
+            const result = await usersCollection.updateOne({ email }, { $set: changes });
+
+            if (before) {
+                await recordAudit(req, { action, targetType: "user", targetId: email, before: pick(before, fields), after: changes });
+            }
+
+            return result;
+        }
+
+        // promote to admin / staff / block (admin-only)
+        app.patch('/users/make-admin/:email', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const email = req.params.email;
+                const result = await updateUserAudited(req, email, { role: "admin" }, "user.role");
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        app.patch('/users/make-staff/:email', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const email = req.params.email;
+                const result = await updateUserAudited(req, email, { role: "staff" }, "user.role");
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // Suspend a user ({ reason, scope = "full", expiresAt }) or, with null, reinstate them.
+        // isBlocked marks full suspensions only: a user kept from posting or commenting can
+        // still log in and, as staff, still be assigned work.
+        // Audited; returns the update result, or null when the user doesn't exist.
+        async function setSuspension(req, email, options, action = "user.block") {
+            const before = await usersCollection.findOne({ email }, { projection: { isBlocked: 1, suspension: 1 } });
+            if (!before) return null;
+
+            const suspension = options
+                ? {
+                    id: new ObjectId(),
+                    scope: options.scope || "full",
+                    reason: options.reason,
+                    expiresAt: options.expiresAt ? new Date(options.expiresAt) : null,
+                    suspendedBy: req.user.email,
+                    suspendedAt: new Date()
+                }
+                : null;
+
+            const result = await usersCollection.updateOne(
+                { email },
+                suspension
+                    ? { $set: { isBlocked: suspension.scope === "full", suspension } }
+                    : { $set: { isBlocked: false }, $unset: { suspension: "" } }
+            );
+
+            // an appeal against a suspension that no longer stands has nothing left to decide
+            await appealsCollection.updateMany(
+                { userEmail: email, status: "pending" },
+                { $set: { status: "lapsed", decidedAt: new Date() } }
+            );
+
+            await recordAudit(req, {
+                action,
+                targetType: "user",
+                targetId: email,
+                before: pick(before, ["isBlocked", "suspension"]),
+                after: { isBlocked: suspension?.scope === "full", suspension }
+            });
+
+            return result;
+        }
+
+        // SUSPEND ({ isBlocked: true, reason, scope, expiresAt }) or reinstate ({ isBlocked: false })
+        app.patch('/users/block/:email', verifyToken, requireRole("admin"), validate(schemas.blockUpdate), async (req, res) => {
+            try {
+                const { isBlocked, reason, scope, expiresAt } = req.body;
+
+                const result = await setSuspension(req, req.params.email, isBlocked ? { reason, scope, expiresAt } : null);
+                if (!result) return res.status(404).send({ message: "User not found" });
+
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // Get role (used by client hooks)
+        app.get("/users/role/:email", verifyToken, async (req, res) => {
+            // If user tries to access someone else's role → downgrade
+            if (req.user.email !== req.params.email) {
+                return res.send({ role: "citizen" });
+            }
+
+            const user = await usersCollection.findOne({ email: req.params.email });
+
+            // Always return a role
+            res.send({ role: user?.role || "citizen" });
+        });
+
+        // --------------------------------------------
+        // UPDATE USER ROLE (ADMIN ONLY)
+        // --------------------------------------------
+        app.patch("/users/role/:email", verifyToken, requireRole("admin"), validate(schemas.roleUpdate), async (req, res) => {
+            try {
+                const targetEmail = req.params.email;
+                const { role } = req.body;
+
+                const result = await updateUserAudited(req, targetEmail, { role }, "user.role");
+
+                res.send(result);
+            } catch (error) {
+                res.status(500).send({ message: "Role update failed", error });
+            }
+        });
+
+
+
+        // -----------------------
+        // SUSPENSION APPEALS
+        // -----------------------
+
+        // Lift suspensions whose expiry has passed (verifyToken also does this lazily per user)
+        async function liftExpiredSuspensions() {
+            const expired = await usersCollection
+                .find({ "suspension.expiresAt": { $lte: new Date() } }, { projection: { email: 1, suspension: 1 } })
+                .toArray();
+
+            for (const user of expired) {
+                const lifted = await usersCollection.updateOne(
+                    { email: user.email, "suspension.id": user.suspension.id },
+                    { $set: { isBlocked: false }, $unset: { suspension: "" } }
+                );
+                if (!lifted.modifiedCount) continue;
+
+                await appealsCollection.updateMany(
+                    { userEmail: user.email, suspensionId: user.suspension.id, status: "pending" },
+                    { $set: { status: "lapsed", decidedAt: new Date() } }
+                );
+            }
+
+            return { lifted: expired.length };
+        }
+
+        registerJob("suspension-expiry", 60, liftExpiredSuspensions);
+
+        // GET own suspension and the appeal filed against it, if any
+        app.get('/suspensions/me', verifyToken, async (req, res) => {
+            try {
+                const suspension = req.user.suspension;
+                if (!suspension) return res.send({ suspended: false });
+
+                const appeal = await appealsCollection.findOne(
+                    { userEmail: req.user.email, suspensionId: suspension.id ?? null },
+                    { projection: { message: 1, status: 1, decisionNote: 1, createdAt: 1, decidedAt: 1 } }
+                );
+
+                res.send({
+                    suspended: true,
+                    suspension: pick(suspension, ["scope", "reason", "expiresAt", "suspendedAt"]),
+                    appeal
+                });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // FILE an appeal against the current suspension (one per suspension)
+        app.post('/appeals', verifyToken, validate(schemas.appealCreate), async (req, res) => {
+            try {
+                const suspension = req.user.suspension;
+                if (!suspension) return res.status(400).send({ message: "Your account is not suspended" });
+
+                const suspensionId = suspension.id ?? null;
+
+                const existing = await appealsCollection.findOne({ userEmail: req.user.email, suspensionId });
+                if (existing) return res.status(409).send({ message: "You have already appealed this suspension" });
+
+                const result = await appealsCollection.insertOne({
+                    userEmail: req.user.email,
+                    suspensionId,
+                    suspension: pick(suspension, ["scope", "reason", "expiresAt", "suspendedBy", "suspendedAt"]),
+                    message: req.body.message,
+                    status: "pending",
+                    createdAt: new Date()
+                });
+
+                res.send({ acknowledged: true, insertedId: result.insertedId });
+            } catch (err) {
+                // the unique index catches two appeals filed at the same moment
+                if (err.code === 11000) {
+                    return res.status(409).send({ message: "You have already appealed this suspension" });
+                }
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET the appeals queue, oldest first (admin); ?status=pending|approved|denied|lapsed
+        app.get('/appeals', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const filter = { status: req.query.status || "pending" };
+
+                const result = await findPage(appealsCollection, filter, { createdAt: 1, _id: 1 }, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DECIDE an appeal (admin): approve lifts the suspension, deny keeps it
+        app.patch('/appeals/:id', verifyToken, requireRole("admin"), validate(schemas.appealDecision), async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.id)) {
+                    return res.status(400).send({ message: "Invalid appeal ID" });
+                }
+
+                const { decision, note = "" } = req.body;
+                const status = decision === "approve" ? "approved" : "denied";
+
+                // only a pending appeal can be decided, and only once
+                const appeal = await appealsCollection.findOneAndUpdate(
+                    { _id: new ObjectId(req.params.id), status: "pending" },
+                    { $set: { status, decisionNote: note, decidedBy: req.user.email, decidedAt: new Date() } },
+                    { returnDocument: "after" }
+                );
+                if (!appeal) return res.status(404).send({ message: "Appeal not found or already decided" });
+
+                if (status === "approved") {
+                    await usersCollection.updateOne(
+                        { email: appeal.userEmail, ...(appeal.suspensionId ? { "suspension.id": appeal.suspensionId } : {}) },
+                        { $set: { isBlocked: false }, $unset: { suspension: "" } }
+                    );
+                }
+
+                const wasBlocked = (appeal.suspension?.scope || "full") === "full";
+                await recordAudit(req, {
+                    action: `appeal.${decision}`,
+                    targetType: "user",
+                    targetId: appeal.userEmail,
+                    before: { isBlocked: wasBlocked, suspension: appeal.suspension },
+                    after: { isBlocked: status !== "approved" && wasBlocked, note }
+                });
+
+                // not tied to an issue; the notification, email and webhook subscribers
+                // route it to the appealing user through targetType/targetId
+                await recordTimeline({
+                    issueId: null,
+                    status: "appeal",
+                    event: "appeal",
+                    targetType: "user",
+                    targetId: appeal.userEmail,
+                    appealId: appeal._id.toString(),
+                    decision: status,
+                    title: "Suspension appeal",
+                    message: status === "approved"
+                        ? "Your appeal was approved and your suspension has been lifted"
+                        : `Your appeal was denied${note ? `: ${note}` : ""}`,
+                    updatedBy: req.user.email,
+                    time: new Date()
+                });
+
+                res.send({ success: true, appeal });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // MODERATION ROUTES
+        // -----------------------
+
+        async function getModerationSettings() {
+            const settings = await settingsCollection.findOne({ _id: "moderation" });
+
+            return {
+                enabled: settings?.enabled ?? false,
+                keywords: settings?.keywords || [],
+                autoHide: settings?.autoHide ?? false
+            };
+        }
+
+        // The issue or comment a flag or moderation action points at, with who wrote it
+        async function findModerationTarget(targetType, targetId) {
+            if (!ObjectId.isValid(targetId)) return null;
+
+            if (targetType === "issue") {
+                const doc = await issuesCollection.findOne({ _id: new ObjectId(targetId) });
+                return doc && { collection: issuesCollection, doc, issueId: targetId, authorEmail: doc.reporterEmail };
+            }
+
+            if (targetType === "comment") {
+                const doc = await commentsCollection.findOne({ _id: new ObjectId(targetId) });
+                return doc && { collection: commentsCollection, doc, issueId: doc.issueId, authorEmail: doc.userEmail };
+            }
+
+            return null;
+        }
+
+        async function addFlag(flag) {
+            try {
+                await flagsCollection.insertOne({ ...flag, status: "open", createdAt: new Date() });
+                return true;
+            } catch (err) {
+                // one open flag per person per item
+                if (err.code === 11000) return false;
+                throw err;
+            }
+        }
+
+        // Run new content past the keyword filter: matches are queued as a system
+        // flag and, with autoHide, hidden until a moderator looks at them.
+        // Returns { matches, hidden }.
+        async function screenContent(targetType, targetId, issueId, text) {
+            const settings = await getModerationSettings();
+            if (!settings.enabled || !settings.keywords.length) return { matches: [], hidden: false };
+
+            const matches = matchKeywords(text, settings.keywords);
+            if (!matches.length) return { matches, hidden: false };
+
+            await addFlag({
+                targetType,
+                targetId: String(targetId),
+                issueId: String(issueId),
+                flaggedBy: "system",
+                reason: "keyword",
+                note: `Matched: ${matches.join(", ")}`
+            });
+
+            if (settings.autoHide) {
+                const collection = targetType === "issue" ? issuesCollection : commentsCollection;
+                await collection.updateOne(
+                    { _id: new ObjectId(targetId) },
+                    { $set: { isHidden: true, moderation: { hiddenBy: "system", hiddenAt: new Date(), note: "Keyword filter" } } }
+                );
+            }
+
+            return { matches, hidden: settings.autoHide };
+        }
+
+        // FLAG an issue or comment for review
+        async function flagContent(req, res, targetType) {
+            try {
+                const target = await findModerationTarget(targetType, req.params.id);
+                if (!target) return res.status(404).send({ message: `${targetType === "issue" ? "Issue" : "Comment"} not found` });
+
+                if (target.doc.visibility === "internal" && !canSeeInternal(req.user)) {
+                    return res.status(404).send({ message: "Comment not found" });
+                }
+
+                if (target.authorEmail === req.user.email) {
+                    return res.status(400).send({ message: "You cannot flag your own content" });
+                }
+
+                const added = await addFlag({
+                    targetType,
+                    targetId: req.params.id,
+                    issueId: target.issueId,
+                    flaggedBy: req.user.email,
+                    reason: req.body.reason,
+                    note: req.body.note || ""
+                });
+                if (!added) return res.status(409).send({ message: "You have already flagged this" });
+
+                res.send({ success: true });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        }
+
+        app.post('/issues/:id/flag', verifyToken, checkBlocked(), validate(schemas.flagCreate), (req, res) => flagContent(req, res, "issue"));
+        app.post('/comments/:id/flag', verifyToken, checkBlocked(), validate(schemas.flagCreate), (req, res) => flagContent(req, res, "comment"));
+
+        // GET the moderation queue (admin): open flags grouped per item, most flagged first.
+        // ?targetType=issue|comment
+        app.get('/moderation/queue', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const match = { status: "open" };
+                if (["issue", "comment"].includes(req.query.targetType)) match.targetType = req.query.targetType;
+
+                const result = await aggregatePage(flagsCollection, [
+                    { $match: match },
+                    {
+                        $group: {
+                            _id: { targetType: "$targetType", targetId: "$targetId" },
+                            issueId: { $first: "$issueId" },
+                            flagCount: { $sum: 1 },
+                            reasons: { $addToSet: "$reason" },
+                            firstFlaggedAt: { $min: "$createdAt" },
+                            lastFlaggedAt: { $max: "$createdAt" },
+                            flags: { $push: { flaggedBy: "$flaggedBy", reason: "$reason", note: "$note", createdAt: "$createdAt" } }
+                        }
+                    },
+                    { $sort: { flagCount: -1, firstFlaggedAt: 1, _id: 1 } },
+                    {
+                        $project: {
+                            _id: 0,
+                            targetType: "$_id.targetType",
+                            targetId: "$_id.targetId",
+                            issueId: 1,
+                            flagCount: 1,
+                            reasons: 1,
+                            firstFlaggedAt: 1,
+                            lastFlaggedAt: 1,
+                            flags: 1
+                        }
+                    }
+                ], req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                // attach what was flagged so moderators can judge it in place
+                const idsOf = type => result.items.filter(i => i.targetType === type).map(i => new ObjectId(i.targetId));
+                const [issues, comments] = await Promise.all([
+                    issuesCollection.find(
+                        { _id: { $in: idsOf("issue") } },
+                        { projection: { title: 1, description: 1, reporterEmail: 1, status: 1, isHidden: 1 } }
+                    ).toArray(),
+                    commentsCollection.find({ _id: { $in: idsOf("comment") } }).toArray()
+                ]);
+                const content = new Map([...issues, ...comments].map(doc => [doc._id.toString(), doc]));
+
+                result.items = result.items.map(item => ({ ...item, content: content.get(item.targetId) || null }));
+
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET recent bursts of fresh-account votes across all issues (admin). ?days=7
+        app.get('/moderation/vote-bursts', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+                const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+                const result = await aggregatePage(votesCollection, [
+                    { $match: { time: { $gte: since } } },
+                    ...voteBurstStages()
+                ], req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                const issues = await issuesCollection.find(
+                    { _id: { $in: [...new Set(result.items.map(b => b.issueId))].map(id => new ObjectId(id)) } },
+                    { projection: { title: 1, status: 1, upvotes: 1, reporterEmail: 1 } }
+                ).toArray();
+                const byId = new Map(issues.map(issue => [issue._id.toString(), issue]));
+
+                result.items = result.items.map(burst => ({ ...burst, issue: byId.get(burst.issueId) || null }));
+
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET moderation settings (admin)
+        app.get('/moderation/settings', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                res.send(await getModerationSettings());
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // UPDATE the keyword filter (admin)
+        app.put('/moderation/settings', verifyToken, requireRole("admin"), validate(schemas.moderationSettings), async (req, res) => {
+            try {
+                const before = await getModerationSettings();
+                const { enabled, keywords = [], autoHide = false } = req.body;
+
+                const settings = { enabled, keywords: [...new Set(keywords.map(k => k.toLowerCase()))], autoHide };
+
+                await settingsCollection.updateOne(
+                    { _id: "moderation" },
+                    { $set: { ...settings, updatedBy: req.user.email, updatedAt: new Date() } },
+                    { upsert: true }
+                );
+
+                await recordAudit(req, { action: "moderation.settings", targetType: "settings", targetId: "moderation", before, after: settings });
+
+                res.send({ success: true, settings });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET one item's flags and moderation history (admin)
+        app.get('/moderation/:targetType/:targetId', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const { targetType, targetId } = req.params;
+
+                const target = await findModerationTarget(targetType, targetId);
+                if (!target) return res.status(404).send({ message: "Content not found" });
+
+                const [flags, history] = await Promise.all([
+                    flagsCollection.find({ targetType, targetId }).sort({ createdAt: -1 }).toArray(),
+                    timelineCollection.find({ event: "moderation", targetType, targetId }).sort({ time: -1 }).toArray()
+                ]);
+
+                res.send({ content: target.doc, flags, history });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // ACT on an item (admin): hide, unhide, dismiss its flags, or hide-and-block its author.
+        // Open flags are resolved, and the action lands in the issue's timeline and the audit log.
+        app.post('/moderation/:targetType/:targetId/:action', verifyToken, requireRole("admin"), validate(schemas.moderationAction), async (req, res) => {
+            try {
+                const { targetType, targetId, action } = req.params;
+                const { note = "", scope, expiresAt } = req.body;
+
+                if (!MODERATION_ACTIONS.includes(action)) {
+                    return res.status(404).send({ message: "Unknown moderation action" });
+                }
+
+                const target = await findModerationTarget(targetType, targetId);
+                if (!target) return res.status(404).send({ message: "Content not found" });
+
+                if (action === "unhide" && target.doc.mergedInto) {
+                    return res.status(400).send({ message: "Merged duplicates stay hidden" });
+                }
+
+                const wasHidden = !!target.doc.isHidden;
+                const hide = action === "hide" || action === "hide-and-block";
+
+                if (hide) {
+                    await target.collection.updateOne(
+                        { _id: target.doc._id },
+                        { $set: { isHidden: true, moderation: { hiddenBy: req.user.email, hiddenAt: new Date(), note } } }
+                    );
+                } else if (action === "unhide") {
+                    await target.collection.updateOne(
+                        { _id: target.doc._id },
+                        { $set: { isHidden: false }, $unset: { moderation: "" } }
+                    );
+                }
+
+                if (action === "hide-and-block" && target.authorEmail) {
+                    await setSuspension(req, target.authorEmail, {
+                        reason: req.body.reason || note || `Moderated ${targetType}`,
+                        scope,
+                        expiresAt
+                    }, "moderation.block");
+                }
+
+                const resolved = await flagsCollection.updateMany(
+                    { targetType, targetId, status: "open" },
+                    { $set: { status: "resolved", resolution: action, resolvedBy: req.user.email, resolvedAt: new Date() } }
+                );
+
+                const label = targetType === "issue" ? "Issue" : "Comment";
+                const outcome = {
+                    "hide": "hidden",
+                    "unhide": "made visible again",
+                    "dismiss": "flags dismissed",
+                    "hide-and-block": "hidden and its author suspended"
+                }[action];
+
+                await recordTimeline({
+                    issueId: target.issueId,
+                    status: "moderation",
+                    event: "moderation",
+                    internal: target.doc.visibility === "internal",
+                    targetType,
+                    targetId,
+                    action,
+                    message: `${label} ${outcome} by a moderator${note ? `: ${note}` : ""}`,
+                    updatedBy: req.user.email,
+                    time: new Date()
+                });
+
+                const isHidden = hide || (action === "dismiss" && wasHidden);
+                await recordAudit(req, {
+                    action: `moderation.${action}`,
+                    targetType,
+                    targetId,
+                    before: { isHidden: wasHidden },
+                    after: { isHidden, note }
+                });
+
+                res.send({ success: true, isHidden, resolvedFlags: resolved.modifiedCount });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // WORKFLOW ROUTES
+        // -----------------------
+
+        // Workflow for a category, falling back to the stored default, then the built-in one
+        async function getWorkflow(category) {
+            const workflows = await workflowsCollection
+                .find({ category: { $in: [category || "default", "default"] } })
+                .toArray();
+
+            return workflows.find(w => w.category === category) ||
+                workflows.find(w => w.category === "default") ||
+                DEFAULT_WORKFLOW;
+        }
+
+        // GET all workflow definitions (admin)
+        app.get('/workflows', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const workflows = await workflowsCollection.find().sort({ category: 1 }).toArray();
+
+                res.send({
+                    builtInDefault: DEFAULT_WORKFLOW,
+                    workflows
+                });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET the effective workflow for a category (any signed-in user, so clients can render allowed actions)
+        app.get('/workflows/:category', verifyToken, async (req, res) => {
+            try {
+                const workflow = await getWorkflow(req.params.category);
+                res.send(workflow);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // CREATE or REPLACE a category workflow (admin). Use "default" to override the built-in one.
+        app.put('/workflows/:category', verifyToken, requireRole("admin"), validate(schemas.workflow), async (req, res) => {
+            try {
+                const category = req.params.category;
+                const { statuses, initialStatus, assignStatus, transitions } = req.body;
+
+                const definition = {
+                    category,
+                    statuses,
+                    initialStatus,
+                    assignStatus,
+                    transitions: transitions.map(t => ({
+                        from: t.from,
+                        to: t.to,
+                        roles: t.roles,
+                        requires: t.requires || []
+                    })),
+                    version: WORKFLOW_VERSION,
+                    updatedBy: req.user.email,
+                    updatedAt: new Date()
+                };
+
+                const before = await workflowsCollection.findOne({ category }, { projection: { _id: 0 } });
+                const result = await workflowsCollection.replaceOne({ category }, definition, { upsert: true });
+
+                await recordAudit(req, { action: "workflow.save", targetType: "workflow", targetId: category, before, after: definition });
+
+                res.send({ success: true, result });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DELETE a category workflow (admin); the category falls back to the default
+        app.delete('/workflows/:category', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const before = await workflowsCollection.findOneAndDelete({ category: req.params.category }, { projection: { _id: 0 } });
+
+                if (!before) {
+                    return res.status(404).send({ message: "Workflow not found" });
+                }
+
+                await recordAudit(req, { action: "workflow.delete", targetType: "workflow", targetId: req.params.category, before });
+
+                res.send({ success: true });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // SLA ROUTES
+        // -----------------------
+
+        // Most specific stored policy wins: category+priority, category, priority, catch-all
+        async function getSlaPolicy(category, priority) {
+            const policies = await slaPoliciesCollection.find({
+                category: { $in: [category || "*", "*"] },
+                priority: { $in: [priority || "normal", "*"] }
+            }).toArray();
+
+            const rank = p => (p.category !== "*" ? 2 : 0) + (p.priority !== "*" ? 1 : 0);
+            policies.sort((a, b) => rank(b) - rank(a));
+
+            return policies[0] || {
+                ...(DEFAULT_SLA_POLICIES[priority] || DEFAULT_SLA_POLICIES.normal),
+                escalation: { raisePriority: true, notifyAdmins: true }
+            };
+        }
+
+        // (Re)compute acknowledgeBy/dueAt; called on create, assign, boost and reprioritise
+        async function applySla(issueId) {
+            const issue = await issuesCollection.findOne({ _id: new ObjectId(issueId) });
+            if (!issue) return;
+
+            const policy = await getSlaPolicy(issue.category, issue.priority);
+            const dates = computeSlaDates(issue, policy);
+            const now = new Date();
+
+            // a deadline pushed back into the future is no longer breached
+            const unset = {};
+            if (dates.acknowledgeBy > now) unset["slaBreaches.acknowledge"] = "";
+            if (dates.dueAt > now) unset["slaBreaches.resolve"] = "";
+
+            await issuesCollection.updateOne(
+                { _id: issue._id },
+                {
+                    $set: {
+                        ...dates,
+                        sla: { acknowledgeHours: policy.acknowledgeHours, resolveHours: policy.resolveHours }
+                    },
+                    $unset: { slaStale: "", ...unset }
+                }
+            );
+        }
+
+        // A policy change marks the open issues it may cover; the sla-check job recomputes
+        // them in batches rather than the request doing it one issue at a time
+        async function queueSlaRecompute(category, priority) {
+            const result = await issuesCollection.updateMany({
+                status: { $nin: CLOSED_STATUSES },
+                ...(category !== "*" ? { category } : {}),
+                ...(priority !== "*" ? { priority } : {})
+            }, { $set: { slaStale: true } });
+
+            return result.modifiedCount;
+        }
+
+        async function recomputeStaleSla() {
+            const stale = await issuesCollection
+                .find({ slaStale: true }, { projection: { _id: 1 } })
+                .limit(SLA_RECOMPUTE_BATCH)
+                .toArray();
+
+            for (const issue of stale) {
+                await applySla(issue._id);
+            }
+
+            return stale.length;
+        }
+
+        // First assignment or first move out of the initial status acknowledges the issue
+        async function markAcknowledged(issueId) {
+            await issuesCollection.updateOne(
+                { _id: new ObjectId(issueId), acknowledgedAt: { $exists: false } },
+                { $set: { acknowledgedAt: new Date() } }
+            );
+        }
+
+        async function escalateIssue(issue, kind) {
+            const policy = await getSlaPolicy(issue.category, issue.priority);
+            const escalation = policy.escalation || { raisePriority: true, notifyAdmins: true };
+            const issueId = issue._id.toString();
+
+            if (escalation.raisePriority && issue.priority !== "high") {
+                const priority = raisedPriority(issue.priority);
+
+                // deadlines are deliberately not recomputed, the breach stands
+                await issuesCollection.updateOne(
+                    { _id: issue._id },
+                    { $set: { ...priorityFields(priority), updatedAt: new Date() } }
+                );
+
+                await recordTimeline({
+                    issueId,
+                    status: "priority-updated",
+                    event: "priority-updated",
+                    message: `Priority raised to ${priority} after missed SLA`,
+                    updatedBy: "system",
+                    time: new Date()
+                });
+            }
+
+            if (escalation.notifyAdmins) {
+                await issuesCollection.updateOne({ _id: issue._id }, { $set: { escalatedAt: new Date() } });
+
+                await recordTimeline({
+                    issueId,
+                    status: "escalated",
+                    event: "escalated",
+                    message: `Escalated to admins: ${kind === "acknowledge" ? "not acknowledged" : "not resolved"} in time`,
+                    updatedBy: "system",
+                    time: new Date()
+                });
+            }
+        }
+
+        // Apply pending policy changes, then flag missed deadlines once each, log them and
+        // escalate. Issues still waiting for a recompute aren't judged on their old deadlines.
+        async function runSlaCheck() {
+            const recomputed = await recomputeStaleSla();
+
+            const now = new Date();
+            const open = { isHidden: false, status: { $nin: CLOSED_STATUSES }, slaStale: { $ne: true } };
+
+            const checks = [
+                { kind: "acknowledge", field: "acknowledgeBy", label: "acknowledgement", filter: { acknowledgedAt: { $exists: false } } },
+                { kind: "resolve", field: "dueAt", label: "resolution", filter: {} }
+            ];
+
+            let breached = 0;
+
+            for (const check of checks) {
+                const breachField = `slaBreaches.${check.kind}`;
+                const issues = await issuesCollection.find({
+                    ...open,
+                    ...check.filter,
+                    [check.field]: { $lt: now },
+                    [breachField]: { $exists: false }
+                }).limit(500).toArray();
+
+                for (const issue of issues) {
+                    // flag first; an overlapping run then skips this issue
+                    const flagged = await issuesCollection.updateOne(
+                        { _id: issue._id, [breachField]: { $exists: false } },
+                        { $set: { [breachField]: now } }
+                    );
+                    if (!flagged.modifiedCount) continue;
+
+                    breached++;
+
+                    await recordTimeline({
+                        issueId: issue._id.toString(),
+                        status: "sla-breach",
+                        event: "sla-breach",
+                        message: `Missed SLA ${check.label} deadline (${issue[check.field].toISOString()})`,
+                        updatedBy: "system",
+                        time: now
+                    });
+
+                    await escalateIssue(issue, check.kind);
+                }
+            }
+
+            return { recomputed, breached };
+        }
+
+        registerJob("sla-check", 15, runSlaCheck);
+
+        // Run a background job (Vercel Cron or admin)
+        app.get('/jobs/:name', allowCron, async (req, res) => {
+            try {
+                const job = jobs[req.params.name];
+                if (!job) return res.status(404).send({ message: "Unknown job" });
+
+                const result = await job();
+                res.send({ success: true, result });
+            } catch (err) {
+                console.error(`Job ${req.params.name} failed:`, err);
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET SLA policies (admin)
+        app.get('/sla/policies', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const policies = await slaPoliciesCollection.find().sort({ category: 1, priority: 1 }).toArray();
+                res.send({ defaults: DEFAULT_SLA_POLICIES, policies });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // CREATE or UPDATE the policy for a category/priority pair (admin). "*" matches any.
+        app.put('/sla/policies', verifyToken, requireRole("admin"), validate(schemas.slaPolicy), async (req, res) => {
+            try {
+                const { category = "*", priority = "*", acknowledgeHours, resolveHours, escalation = {} } = req.body;
+
+                const policy = {
+                    acknowledgeHours,
+                    resolveHours,
+                    escalation: {
+                        raisePriority: escalation.raisePriority !== false,
+                        notifyAdmins: escalation.notifyAdmins !== false
+                    }
+                };
+
+                const before = await slaPoliciesCollection.findOne({ category, priority });
+
+                const result = await slaPoliciesCollection.updateOne(
+                    { category, priority },
+                    { $set: { ...policy, updatedBy: req.user.email, updatedAt: new Date() } },
+                    { upsert: true }
+                );
+
+                await recordAudit(req, {
+                    action: "sla.save",
+                    targetType: "slaPolicy",
+                    targetId: `${category}/${priority}`,
+                    before: pick(before, Object.keys(policy)),
+                    after: policy
+                });
+
+                // existing open issues pick up the new targets on the next sla-check run
+                const queued = await queueSlaRecompute(category, priority);
+
+                res.send({ success: true, result, queued });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DELETE an SLA policy (admin)
+        app.delete('/sla/policies/:id', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.id)) {
+                    return res.status(400).send({ message: "Invalid policy ID" });
+                }
+
+                const before = await slaPoliciesCollection.findOneAndDelete({ _id: new ObjectId(req.params.id) });
+                if (!before) return res.status(404).send({ message: "Policy not found" });
+
+                await recordAudit(req, { action: "sla.delete", targetType: "slaPolicy", targetId: `${before.category}/${before.priority}`, before });
+
+                const queued = await queueSlaRecompute(before.category, before.priority);
+
+                res.send({ success: true, queued });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // ASSIGNMENT ENGINE
+        // -----------------------
+
+        const DEFAULT_ASSIGNMENT_SETTINGS = {
+            strategy: "least-loaded",   // or "round-robin"
+            triggers: []                // "created" and/or statuses that should trigger auto-assignment
+        };
+
+        async function getAssignmentSettings() {
+            const settings = await settingsCollection.findOne({ _id: "assignment" });
+            return { ...DEFAULT_ASSIGNMENT_SETTINGS, ...settings };
+        }
+
+        // Assign an issue and move it to the workflow's assign status (reassigning
+        // an issue already there keeps its status). note satisfies a workflow whose
+        // assign transition requires one. Returns { modifiedCount } or { status, error }.
+        async function assignIssue(issue, staffEmail, actorEmail, message, note = "") {
+            const workflow = await getWorkflow(issue.category);
+            const status = workflow.assignStatus;
+
+            if (issue.status !== status) {
+                const check = checkTransition(workflow, issue.status, status, "admin", { note });
+                if (check.error) return check;
+            }
+
+            const result = await issuesCollection.updateOne(
+                { _id: issue._id },
+                {
+                    $set: {
+                        assignedStaff: staffEmail,     // ✅ STRING
+                        status,
+                        assignedAt: new Date(),
+                        updatedAt: new Date()
+                    }
+                }
+            );
+
+            await recordTimeline({
+                issueId: issue._id.toString(),
+                status,
+                event: "assigned",
+                staffEmail,
+                message,
+                note,
+                updatedBy: actorEmail,
+                time: new Date()
+            });
+
+            await markAcknowledged(issue._id);
+
+            return { modifiedCount: result.modifiedCount };
+        }
+
+        // Available staff for the issue's category and area. Staff who list the
+        // category are preferred over generalists (no categories set).
+        async function findAssignmentCandidates(issue) {
+            const conditions = [
+                { $or: [{ categories: issue.category }, { categories: { $exists: false } }, { categories: { $size: 0 } }] }
+            ];
+
+            if (issue.area) {
+                conditions.push({ $or: [{ areas: issue.area }, { areas: { $exists: false } }, { areas: { $size: 0 } }] });
+            }
+
+            const staff = await usersCollection.find({
+                role: "staff",
+                available: { $ne: false },
+                isBlocked: { $ne: true },
+                $and: conditions
+            }).toArray();
+
+            // a category owned by a department is only routed to that department's members
+            const department = await getDepartmentForCategory(issue.category);
+            const pool = department ? staff.filter(s => department.members.includes(s.email)) : staff;
+
+            const specialists = pool.filter(s => s.categories?.includes(issue.category));
+            return specialists.length ? specialists : pool;
+        }
+
+        // Open assignments per staff email
+        async function countOpenAssignments(emails) {
+            const counts = await issuesCollection.aggregate([
+                { $match: { assignedStaff: { $in: emails }, status: { $nin: CLOSED_STATUSES } } },
+                { $group: { _id: "$assignedStaff", open: { $sum: 1 } } }
+            ]).toArray();
+
+            return Object.fromEntries(counts.map(c => [c._id, c.open]));
+        }
+
+        // Pick staff for an issue and assign it; every decision lands in the timeline
+        async function autoAssignIssue(issue, actorEmail = "system") {
+            const { strategy } = await getAssignmentSettings();
+            const issueId = issue._id.toString();
+            const candidates = await findAssignmentCandidates(issue);
+
+            if (!candidates.length) {
+                await recordTimeline({
+                    issueId,
+                    status: "auto-assign-failed",
+                    event: "auto-assign-failed",
+                    message: `No available staff for category "${issue.category || "none"}"${issue.area ? ` in area "${issue.area}"` : ""}`,
+                    updatedBy: actorEmail,
+                    time: new Date()
+                });
+                return { assigned: false, reason: "No eligible staff" };
+            }
+
+            const load = await countOpenAssignments(candidates.map(c => c.email));
+            const lastPicked = c => (c.lastAutoAssignedAt ? new Date(c.lastAutoAssignedAt).getTime() : 0);
+
+            // round-robin: whoever was picked longest ago; least-loaded: fewest open issues, then round-robin
+            candidates.sort((a, b) => strategy === "round-robin"
+                ? lastPicked(a) - lastPicked(b)
+                : (load[a.email] || 0) - (load[b.email] || 0) || lastPicked(a) - lastPicked(b));
+
+            const chosen = candidates[0];
+            const detail = strategy === "round-robin"
+                ? "round-robin"
+                : `least-loaded, ${load[chosen.email] || 0} open`;
+
+            const result = await assignIssue(
+                issue,
+                chosen.email,
+                actorEmail,
+                `Auto-assigned to staff ${chosen.email} (${detail}; ${candidates.length} candidate(s))`
+            );
+
+            if (result.error) {
+                await recordTimeline({
+                    issueId,
+                    status: "auto-assign-failed",
+                    event: "auto-assign-failed",
+                    message: `Auto-assignment skipped: ${result.error}`,
+                    updatedBy: actorEmail,
+                    time: new Date()
+                });
+                return { assigned: false, reason: result.error };
+            }
+
+            await usersCollection.updateOne({ email: chosen.email }, { $set: { lastAutoAssignedAt: new Date() } });
+
+            return { assigned: true, staffEmail: chosen.email, strategy };
+        }
+
+        // Run auto-assignment if the settings list this event as a trigger
+        async function autoAssignOn(trigger, issueId) {
+            const { triggers } = await getAssignmentSettings();
+            if (!triggers.includes(trigger)) return null;
+
+            const issue = await issuesCollection.findOne({ _id: new ObjectId(issueId) });
+            if (!issue || issue.assignedStaff) return null;
+
+            return autoAssignIssue(issue);
+        }
+
+        // GET assignment settings (admin)
+        app.get('/assignment/settings', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                res.send(await getAssignmentSettings());
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // UPDATE assignment strategy/triggers (admin)
+        app.put('/assignment/settings', verifyToken, requireRole("admin"), validate(schemas.assignmentSettings), async (req, res) => {
+            try {
+                const { strategy, triggers } = req.body;
+                const before = await getAssignmentSettings();
+
+                await settingsCollection.updateOne(
+                    { _id: "assignment" },
+                    { $set: { strategy, triggers: triggers || [], updatedBy: req.user.email, updatedAt: new Date() } },
+                    { upsert: true }
+                );
+
+                const settings = await getAssignmentSettings();
+                await recordAudit(req, {
+                    action: "assignment.settings",
+                    targetType: "settings",
+                    targetId: "assignment",
+                    before: pick(before, ["strategy", "triggers"]),
+                    after: pick(settings, ["strategy", "triggers"])
+                });
+
+                res.send({ success: true, settings });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // UPDATE a staff member's routing profile (admin)
+        app.patch('/staff/:email', verifyToken, requireRole("admin"), validate(schemas.staffProfile), async (req, res) => {
+            try {
+                const before = await usersCollection.findOne({ email: req.params.email, role: "staff" });
+
+                const result = await usersCollection.updateOne(
+                    { email: req.params.email, role: "staff" },
+                    { $set: { ...req.body, updatedAt: new Date() } }
+                );
+
+                if (!result.matchedCount) return res.status(404).send({ message: "Staff not found" });
+
+                await recordAudit(req, {
+                    action: "staff.profile",
+                    targetType: "user",
+                    targetId: req.params.email,
+                    before: pick(before, Object.keys(req.body)),
+                    after: req.body
+                });
+
+                res.send({ success: true, result });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // Staff mark themselves available/unavailable
+        app.patch('/staff/me/availability', verifyToken, requireRole("staff"), validate(schemas.staffAvailability), async (req, res) => {
+            try {
+                const result = await usersCollection.updateOne(
+                    { email: req.user.email },
+                    { $set: { available: req.body.available, updatedAt: new Date() } }
+                );
+
+                res.send({ success: true, result });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // AUTO-ASSIGN one issue now (admin)
+        app.post('/issues/:id/auto-assign', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.id)) {
+                    return res.status(400).send({ message: "Invalid issue ID" });
+                }
+
+                const issue = await issuesCollection.findOne({ _id: new ObjectId(req.params.id) });
+                if (!issue) return res.status(404).send({ message: "Issue not found" });
+
+                const result = await autoAssignIssue(issue, req.user.email);
+
+                if (result.assigned) {
+                    await recordAudit(req, {
+                        action: "issue.assign",
+                        targetType: "issue",
+                        targetId: issue._id,
+                        before: { assignedStaff: issue.assignedStaff || null },
+                        after: { assignedStaff: result.staffEmail, strategy: result.strategy }
+                    });
+                }
+
+                res.status(result.assigned ? 200 : 409).send(result);
+            } catch (err) {
+                console.error("Auto-assign error:", err);
+                res.status(500).send({ message: "Failed to auto-assign issue" });
+            }
+        });
+
+
+        // -----------------------
+        // DEPARTMENT ROUTES
+        // -----------------------
+
+        async function getDepartmentForCategory(category) {
+            if (!category) return null;
+            return departmentsCollection.findOne({ categories: category });
+        }
+
+        // Load :id into req.department; admins and that department's lead pass
+        async function requireDepartmentAccess(req, res, next) {
+            try {
+                if (!ObjectId.isValid(req.params.id)) {
+                    return res.status(400).send({ message: "Invalid department ID" });
+                }
+
+                const department = await departmentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+                if (!department) return res.status(404).send({ message: "Department not found" });
+
+                if (req.user.role !== "admin" && department.leadEmail !== req.user.email) {
+                    return res.status(403).send({ message: "Forbidden - admin or department lead required" });
+                }
+
+                req.department = department;
+                next();
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        }
+
+        // Members must be staff, the lead must be a member, and a category has one owner.
+        // Returns an error message or null.
+        async function checkDepartment({ leadEmail, members, categories }, departmentId = null) {
+            const staffCount = await usersCollection.countDocuments({ email: { $in: members }, role: "staff" });
+            if (staffCount !== members.length) return "All members must be staff";
+
+            if (leadEmail && !members.includes(leadEmail)) return "The lead must be one of the members";
+
+            const owner = await departmentsCollection.findOne({
+                categories: { $in: categories },
+                ...(departmentId ? { _id: { $ne: departmentId } } : {})
+            });
+            if (owner) {
+                const taken = categories.filter(c => owner.categories.includes(c));
+                return `Categories already owned by ${owner.name}: ${taken.join(", ")}`;
+            }
+
+            return null;
+        }
+
+        // GET all departments (admin)
+        app.get('/departments', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const departments = await departmentsCollection.find().sort({ name: 1 }).toArray();
+                res.send(departments);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET departments the signed-in user leads or belongs to
+        app.get('/departments/mine', verifyToken, async (req, res) => {
+            try {
+                const departments = await departmentsCollection
+                    .find({ members: req.user.email })
+                    .sort({ name: 1 })
+                    .toArray();
+
+                res.send(departments.map(d => ({ ...d, isLead: d.leadEmail === req.user.email })));
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // CREATE department (admin)
+        app.post('/departments', verifyToken, requireRole("admin"), validate(schemas.departmentCreate), async (req, res) => {
+            try {
+                const { name, leadEmail = null, members = [], categories = [] } = req.body;
+
+                const existing = await departmentsCollection.findOne({ name });
+                if (existing) return res.status(400).send({ message: "Department name already exists" });
+
+                const problem = await checkDepartment({ leadEmail, members, categories });
+                if (problem) return res.status(400).send({ message: problem });
+
+                const result = await departmentsCollection.insertOne({
+                    name,
+                    leadEmail,
+                    members,
+                    categories,
+                    createdAt: new Date(),
+                    updatedAt: new Date()
+                });
+
+                await recordAudit(req, {
+                    action: "department.create",
+                    targetType: "department",
+                    targetId: result.insertedId,
+                    after: { name, leadEmail, members, categories }
+                });
+
+                res.send({ acknowledged: true, insertedId: result.insertedId });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET one department (admin or its lead)
+        app.get('/departments/:id', verifyToken, requireDepartmentAccess, async (req, res) => {
+            res.send(req.department);
+        });
+
+        // UPDATE department name, lead, members or categories (admin)
+        app.patch('/departments/:id', verifyToken, requireRole("admin"), requireDepartmentAccess, validate(schemas.departmentUpdate), async (req, res) => {
+            try {
+                const updated = { ...req.department, ...req.body };
+
+                const problem = await checkDepartment(updated, req.department._id);
+                if (problem) return res.status(400).send({ message: problem });
+
+                const result = await departmentsCollection.updateOne(
+                    { _id: req.department._id },
+                    { $set: { ...req.body, updatedAt: new Date() } }
+                );
+
+                await recordAudit(req, {
+                    action: "department.update",
+                    targetType: "department",
+                    targetId: req.department._id,
+                    before: pick(req.department, Object.keys(req.body)),
+                    after: req.body
+                });
+
+                res.send({ success: true, result });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DELETE department (admin); its categories become unowned
+        app.delete('/departments/:id', verifyToken, requireRole("admin"), requireDepartmentAccess, async (req, res) => {
+            try {
+                const result = await departmentsCollection.deleteOne({ _id: req.department._id });
+
+                await recordAudit(req, { action: "department.delete", targetType: "department", targetId: req.department._id, before: req.department });
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DEPARTMENT QUEUE: issues in the department's categories (admin or lead)
+        app.get('/departments/:id/issues', verifyToken, requireDepartmentAccess, async (req, res) => {
+            try {
+                const { status, assigned } = req.query;
+
+                const filter = {
+                    isHidden: false,
+                    category: { $in: req.department.categories }
+                };
+
+                if (status && status !== "All") filter.status = status;
+                if (assigned === "false") filter.assignedStaff = { $in: [null, ""] };
+                if (assigned === "true") filter.assignedStaff = { $nin: [null, ""] };
+
+                if (req.query.overdue === "true") {
+                    filter.dueAt = { $lt: new Date() };
+                    filter.$and = [{ status: { $nin: CLOSED_STATUSES } }];
+                }
+
+                const sortSpec = ISSUE_SORTS[req.query.sort || "priority"];
+                if (!sortSpec) return res.status(400).send({ message: "Invalid sort" });
+
+                const result = await findPage(issuesCollection, filter, sortSpec, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                result.items = withOverdueFlag(result.items);
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DEPARTMENT STATS: the /issues/staff/stats numbers for the whole department, plus a per-member split
+        app.get('/departments/:id/stats', verifyToken, requireDepartmentAccess, async (req, res) => {
+            try {
+                const scope = { category: { $in: req.department.categories } };
+
+                const [stats] = await issuesCollection.aggregate([
+                    { $match: scope },
+                    {
+                        $facet: {
+                            assigned: [{ $match: { assignedStaff: { $nin: [null, ""] } } }, { $count: "count" }],
+                            unassigned: [
+                                { $match: { assignedStaff: { $in: [null, ""] }, status: { $nin: CLOSED_STATUSES } } },
+                                { $count: "count" }
+                            ],
+                            inProgress: [{ $match: { status: "in-progress" } }, { $count: "count" }],
+                            resolved: [{ $match: { status: "resolved" } }, { $count: "count" }],
+                            overdue: [
+                                { $match: { dueAt: { $lt: new Date() }, status: { $nin: CLOSED_STATUSES } } },
+                                { $count: "count" }
+                            ],
+                            byMember: [
+                                { $match: { assignedStaff: { $in: req.department.members } } },
+                                {
+                                    $group: {
+                                        _id: "$assignedStaff",
+                                        assigned: { $sum: 1 },
+                                        inProgress: { $sum: { $cond: [{ $eq: ["$status", "in-progress"] }, 1, 0] } },
+                                        resolved: { $sum: { $cond: [{ $eq: ["$status", "resolved"] }, 1, 0] } }
+                                    }
+                                },
+                                { $sort: { assigned: -1 } }
+                            ],
+                            recent: [{ $sort: { reportedAt: -1 } }, { $limit: 5 }]
+                        }
+                    }
+                ]).toArray();
+
+                const count = key => stats[key][0]?.count || 0;
+
+                res.send({
+                    department: { _id: req.department._id, name: req.department.name },
+                    assigned: count("assigned"),
+                    unassigned: count("unassigned"),
+                    inProgress: count("inProgress"),
+                    resolved: count("resolved"),
+                    overdue: count("overdue"),
+                    byMember: stats.byMember,
+                    recent: stats.recent
+                });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // NOTIFICATION ROUTES
+        // -----------------------
+
+        // Who hears about an issue event: reporter and assigned staff, or the admins
+        // (and department lead) for escalations. The actor never notifies themselves.
+        // Returns { issue, recipients } or null when there is nobody to tell.
+        async function eventAudience(entry) {
+            // account events (appeal decisions) concern only the account holder
+            if (entry.targetType === "user" && !entry.issueId) {
+                return { issue: null, recipients: [entry.targetId] };
+            }
+
+            if (!ObjectId.isValid(entry.issueId)) return null;
+
+            const issue = await issuesCollection.findOne(
+                { _id: new ObjectId(entry.issueId) },
+                { projection: { title: 1, category: 1, reporterEmail: 1, assignedStaff: 1 } }
+            );
+            if (!issue) return null;
+
+            let recipients = [issue.reporterEmail, issue.assignedStaff];
+
+            // internal notes never reach the reporter
+            if (entry.internal) recipients = [issue.assignedStaff];
+
+            if (entry.event === "escalated") {
+                const admins = await usersCollection.find({ role: "admin" }, { projection: { email: 1 } }).toArray();
+                const department = await getDepartmentForCategory(issue.category);
+                recipients = [...admins.map(a => a.email), department?.leadEmail];
+            }
+
+            recipients = [...new Set(recipients)].filter(email => email && email !== entry.updatedBy);
+
+            return recipients.length ? { issue, recipients } : null;
+        }
+
+        onTimeline(async entry => {
+            if (!NOTIFICATION_TYPES.includes(entry.event)) return;
+
+            const audience = await eventAudience(entry);
+            if (!audience) return;
+            const { issue, recipients } = audience;
+
+            // preferences are opt-out: a type is delivered unless set to false
+            const users = await usersCollection
+                .find({ email: { $in: recipients } }, { projection: { email: 1, notificationPrefs: 1 } })
+                .toArray();
+
+            const notifications = users
+                .filter(user => user.notificationPrefs?.[entry.event] !== false)
+                .map(user => ({
+                    userEmail: user.email,
+                    type: entry.event,
+                    issueId: entry.issueId,
+                    issueTitle: issue?.title || entry.title || "",
+                    message: entry.message,
+                    actor: entry.updatedBy,
+                    read: false,
+                    createdAt: new Date()
+                }));
+
+            if (notifications.length) {
+                await notificationsCollection.insertMany(notifications);
+            }
+        });
+
+        // GET own notifications (newest first) with the unread count; ?unread=true for unread only
+        app.get('/notifications', verifyToken, async (req, res) => {
+            try {
+                const filter = { userEmail: req.user.email };
+                if (req.query.unread === "true") filter.read = false;
+
+                const result = await findPage(notificationsCollection, filter, { createdAt: -1, _id: -1 }, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                result.unreadCount = await notificationsCollection.countDocuments({ userEmail: req.user.email, read: false });
+
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET unread count only (for the header badge)
+        app.get('/notifications/unread-count', verifyToken, async (req, res) => {
+            try {
+                const unreadCount = await notificationsCollection.countDocuments({ userEmail: req.user.email, read: false });
+                res.send({ unreadCount });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // MARK one notification read
+        app.patch('/notifications/:id/read', verifyToken, async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.id)) {
+                    return res.status(400).send({ message: "Invalid notification ID" });
+                }
+
+                const result = await notificationsCollection.updateOne(
+                    { _id: new ObjectId(req.params.id), userEmail: req.user.email },
+                    { $set: { read: true, readAt: new Date() } }
+                );
+
+                if (!result.matchedCount) return res.status(404).send({ message: "Notification not found" });
+
+                res.send({ success: true });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // MARK all notifications read
+        app.patch('/notifications/read-all', verifyToken, async (req, res) => {
+            try {
+                const result = await notificationsCollection.updateMany(
+                    { userEmail: req.user.email, read: false },
+                    { $set: { read: true, readAt: new Date() } }
+                );
+
+                res.send({ success: true, modifiedCount: result.modifiedCount });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET own notification preferences (every type defaults to on)
+        app.get('/notifications/preferences', verifyToken, async (req, res) => {
+            try {
+                const user = await usersCollection.findOne({ email: req.user.email }, { projection: { notificationPrefs: 1 } });
+
+                const preferences = Object.fromEntries(
+                    NOTIFICATION_TYPES.map(type => [type, user?.notificationPrefs?.[type] !== false])
+                );
+
+                res.send(preferences);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // UPDATE own notification preferences, e.g. { "comment-added": false }
+        app.put('/notifications/preferences', verifyToken, validate(schemas.notificationPreferences), async (req, res) => {
+            try {
+                const update = Object.fromEntries(
+                    Object.entries(req.body).map(([type, enabled]) => [`notificationPrefs.${type}`, enabled])
+                );
+
+                if (!Object.keys(update).length) {
+                    return res.status(422).send({ message: "Validation failed", errors: [{ field: "body", message: "Nothing to update" }] });
+                }
+
+                await usersCollection.updateOne({ email: req.user.email }, { $set: update });
+
+                res.send({ success: true });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // EMAIL ROUTES
+        // -----------------------
+
+        // Outgoing mail is queued and sent by the email-queue job, so a slow or
+        // failing mail server never holds up a request.
+        async function queueEmail(to, content) {
+            const url = unsubscribeUrl(to);
+
+            await emailQueueCollection.insertOne({
+                to,
+                subject: content.subject,
+                text: content.text,
+                html: content.html,
+                headers: url
+                    ? { "List-Unsubscribe": `<${url}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" }
+                    : {},
+                status: "pending",
+                attempts: 0,
+                nextAttemptAt: new Date(),
+                createdAt: new Date()
+            });
+        }
+
+        // emailPrefs: { frequency: "instant" | "daily" | "off", [type]: false to skip a type }
+        onTimeline(async entry => {
+            if (!EMAIL_TYPES.includes(entry.event)) return;
+
+            const audience = await eventAudience(entry);
+            if (!audience) return;
+            const { issue, recipients } = audience;
+
+            const users = await usersCollection
+                .find({ email: { $in: recipients } }, { projection: { email: 1, emailPrefs: 1 } })
+                .toArray();
+
+            for (const user of users) {
+                const prefs = user.emailPrefs || {};
+                const frequency = prefs.frequency || "instant";
+                if (frequency === "off" || prefs[entry.event] === false) continue;
+
+                const item = {
+                    type: entry.event,
+                    issueId: entry.issueId,
+                    issueTitle: issue?.title || entry.title || "",
+                    issueUrl: entry.issueId ? issueUrl(entry.issueId) : null,
+                    message: entry.message,
+                    actor: entry.updatedBy,
+                    time: entry.time
+                };
+
+                if (frequency === "daily") {
+                    await emailDigestCollection.insertOne({ userEmail: user.email, ...item });
+                } else {
+                    await queueEmail(user.email, renderEvent(entry.event, { ...item, unsubscribeUrl: unsubscribeUrl(user.email) }));
+                }
+            }
+        });
+
+        // Send due mail, retrying failures with exponential backoff
+        async function processEmailQueue() {
+            const now = new Date();
+            let sent = 0;
+            let failed = 0;
+
+            const due = await emailQueueCollection.find({
+                $or: [
+                    { status: "pending", nextAttemptAt: { $lte: now } },
+                    { status: "sending", claimedAt: { $lt: new Date(now.getTime() - EMAIL_CLAIM_TIMEOUT) } }
+                ]
+            }).sort({ nextAttemptAt: 1 }).limit(EMAIL_BATCH_SIZE).toArray();
+
+            for (const email of due) {
+                // claim first; an overlapping run then skips this message
+                const claimed = await emailQueueCollection.findOneAndUpdate(
+                    { _id: email._id, status: email.status },
+                    { $set: { status: "sending", claimedAt: new Date() } }
+                );
+                if (!claimed) continue;
+
+                try {
+                    await mailTransport.send({
+                        to: email.to,
+                        subject: email.subject,
+                        text: email.text,
+                        html: email.html,
+                        headers: email.headers
+                    });
+
+                    await emailQueueCollection.updateOne(
+                        { _id: email._id },
+                        { $set: { status: "sent", sentAt: new Date() }, $inc: { attempts: 1 }, $unset: { claimedAt: "" } }
+                    );
+                    sent++;
+                } catch (err) {
+                    const attempts = (email.attempts || 0) + 1;
+                    const giveUp = attempts >= EMAIL_MAX_ATTEMPTS;
+
+                    await emailQueueCollection.updateOne(
+                        { _id: email._id },
+                        {
+                            $set: {
+                                status: giveUp ? "failed" : "pending",
+                                attempts,
+                                lastError: err.message,
+                                nextAttemptAt: new Date(Date.now() + emailRetryDelay(attempts))
+                            },
+                            $unset: { claimedAt: "" }
+                        }
+                    );
+                    if (giveUp) failed++;
+                }
+            }
+
+            return { sent, failed, transport: mailTransport.name };
+        }
+
+        // Bundle each daily-digest user's collected updates into one email
+        async function sendEmailDigests() {
+            const groups = await emailDigestCollection.aggregate([
+                { $sort: { time: 1 } },
+                { $group: { _id: "$userEmail", items: { $push: "$$ROOT" } } }
+            ]).toArray();
+
+            for (const group of groups) {
+                const user = await usersCollection.findOne({ email: group._id }, { projection: { emailPrefs: 1 } });
+
+                // users who switched email off since the items were collected get nothing
+                if (user && user.emailPrefs?.frequency !== "off") {
+                    await queueEmail(group._id, renderDigest(group.items, { unsubscribeUrl: unsubscribeUrl(group._id) }));
+                }
+
+                await emailDigestCollection.deleteMany({ _id: { $in: group.items.map(item => item._id) } });
+            }
+
+            return { digests: groups.length };
+        }
+
+        registerJob("email-queue", 1, processEmailQueue);
+        registerJob("email-digest", 24 * 60, sendEmailDigests);
+
+        // GET own email preferences
+        app.get('/email/preferences', verifyToken, async (req, res) => {
+            try {
+                const user = await usersCollection.findOne({ email: req.user.email }, { projection: { emailPrefs: 1 } });
+                const prefs = user?.emailPrefs || {};
+
+                res.send({
+                    frequency: prefs.frequency || "instant",
+                    ...Object.fromEntries(EMAIL_TYPES.map(type => [type, prefs[type] !== false]))
+                });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // UPDATE own email preferences, e.g. { "frequency": "daily", "comment-added": false }
+        app.put('/email/preferences', verifyToken, validate(schemas.emailPreferences), async (req, res) => {
+            try {
+                const update = Object.fromEntries(
+                    Object.entries(req.body).map(([key, value]) => [`emailPrefs.${key}`, value])
+                );
+
+                if (!Object.keys(update).length) {
+                    return res.status(422).send({ message: "Validation failed", errors: [{ field: "body", message: "Nothing to update" }] });
+                }
+
+                await usersCollection.updateOne({ email: req.user.email }, { $set: update });
+
+                res.send({ success: true });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // Signed unsubscribe token from the query: the email, or null
+        function unsubscribeEmail(req) {
+            try {
+                const payload = jwt.verify(String(req.query.token || ""), process.env.MAIL_LINK_SECRET);
+                return payload.purpose === "unsubscribe" ? payload.email : null;
+            } catch {
+                return null;
+            }
+        }
+
+        // Opt-out link from an email footer. Only shows a confirmation form: mail scanners
+        // and link prefetchers follow GET links, so the GET itself must change nothing.
+        app.get('/email/unsubscribe', (req, res) => {
+            if (!unsubscribeEmail(req)) return res.status(400).send({ message: "Invalid unsubscribe link" });
+
+            res.type("html").send(
+                `<p>Stop all NovaPress emails?</p>`
+                + `<form method="post" action="/email/unsubscribe?token=${encodeURIComponent(req.query.token)}">`
+                + `<button type="submit">Unsubscribe</button></form>`
+            );
+        });
+
+        // Unsubscribe: the confirmation form above, or a mail client's one-click unsubscribe
+        app.post('/email/unsubscribe', async (req, res) => {
+            try {
+                const email = unsubscribeEmail(req);
+                if (!email) return res.status(400).send({ message: "Invalid unsubscribe link" });
+
+                await usersCollection.updateOne(
+                    { email },
+                    { $set: { "emailPrefs.frequency": "off", "emailPrefs.unsubscribedAt": new Date() } }
+                );
+                await emailDigestCollection.deleteMany({ userEmail: email });
+
+                if (req.accepts(["json", "html"]) !== "html") return res.send({ success: true });
+
+                res.type("html").send(
+                    `<p>You will no longer receive NovaPress emails.</p>`
+                    + `<p>You can turn them back on from your <a href="${CLIENT_URL}/dashboard/profile">profile</a>.</p>`
+                );
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // WEBHOOK ROUTES
+        // -----------------------
+
+        // Matching timeline events are queued as deliveries with a frozen payload;
+        // the webhook-deliveries job sends them, so redelivery sends the same body.
+        onTimeline(async entry => {
+            if (!WEBHOOK_EVENTS.includes(entry.event)) return;
+
+            const webhooks = await webhooksCollection
+                .find({ active: true, events: { $in: [entry.event, "*"] } }, { projection: { _id: 1 } })
+                .toArray();
+            if (!webhooks.length) return;
+
+            const issue = ObjectId.isValid(entry.issueId)
+                ? await issuesCollection.findOne(
+                    { _id: new ObjectId(entry.issueId) },
+                    { projection: { title: 1, category: 1, status: 1, priority: 1, location: 1, area: 1, assignedStaff: 1, reportedAt: 1 } }
+                )
+                : null;
+
+            const data = {
+                issueId: entry.issueId,
+                message: entry.message,
+                actor: entry.updatedBy,
+                time: entry.time,
+                issue
+            };
+            if (entry.staffEmail) data.staffEmail = entry.staffEmail;
+            if (entry.previousStatus) data.previousStatus = entry.previousStatus;
+            if (entry.targetType) Object.assign(data, { targetType: entry.targetType, targetId: entry.targetId });
+
+            const now = new Date();
+            await webhookDeliveriesCollection.insertMany(webhooks.map(webhook => {
+                const _id = new ObjectId();
+                return {
+                    _id,
+                    webhookId: webhook._id,
+                    event: entry.event,
+                    payload: JSON.stringify({ id: _id.toString(), event: entry.event, createdAt: now, data }),
+                    status: "pending",
+                    attempts: 0,
+                    nextAttemptAt: now,
+                    createdAt: now
+                };
+            }));
+        });
+
+        // POST one delivery and record the outcome (retry schedule or final state)
+        async function attemptDelivery(delivery) {
+            const webhook = await webhooksCollection.findOne({ _id: delivery.webhookId });
+            const attempts = (delivery.attempts || 0) + 1;
+            const startedAt = Date.now();
+
+            let responseStatus = null;
+            let error = null;
+
+            if (!webhook) {
+                error = "Webhook no longer exists";
+            } else {
+                try {
+                    const response = await fetch(webhook.url, {
+                        method: "POST",
+                        headers: {
+                            "Content-Type": "application/json",
+                            "User-Agent": "NovaPress-Webhooks/1.0",
+                            "X-NovaPress-Event": delivery.event,
+                            "X-NovaPress-Delivery": delivery._id.toString(),
+                            "X-NovaPress-Signature": signWebhook(webhook.secret, delivery.payload)
+                        },
+                        body: delivery.payload,
+                        redirect: "manual",
+                        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+                    });
+
+                    responseStatus = response.status;
+                    if (!response.ok) error = `HTTP ${response.status}`;
+                } catch (err) {
+                    error = err.name === "TimeoutError" ? "Timed out" : err.message;
+                }
+            }
+
+            const delivered = !error;
+            const giveUp = !delivered && (!webhook || attempts >= WEBHOOK_MAX_ATTEMPTS);
+
+            const update = {
+                status: delivered ? "delivered" : giveUp ? "failed" : "pending",
+                attempts,
+                responseStatus,
+                lastError: error,
+                durationMs: Date.now() - startedAt,
+                lastAttemptAt: new Date()
+            };
+            if (delivered) update.deliveredAt = new Date();
+            if (!delivered && !giveUp) update.nextAttemptAt = new Date(Date.now() + webhookRetryDelay(attempts));
+
+            return webhookDeliveriesCollection.findOneAndUpdate(
+                { _id: delivery._id },
+                { $set: update, $unset: { claimedAt: "" } },
+                { returnDocument: "after", projection: { payload: 0 } }
+            );
+        }
+
+        // Send due deliveries
+        async function processWebhookDeliveries() {
+            const now = new Date();
+            let delivered = 0;
+            let failed = 0;
+
+            const due = await webhookDeliveriesCollection.find({
+                $or: [
+                    { status: "pending", nextAttemptAt: { $lte: now } },
+                    { status: "sending", claimedAt: { $lt: new Date(now.getTime() - WEBHOOK_CLAIM_TIMEOUT) } }
+                ]
+            }).sort({ nextAttemptAt: 1 }).limit(WEBHOOK_BATCH_SIZE).toArray();
+
+            for (const delivery of due) {
+                // claim first; an overlapping run then skips this delivery
+                const claimed = await webhookDeliveriesCollection.findOneAndUpdate(
+                    { _id: delivery._id, status: delivery.status },
+                    { $set: { status: "sending", claimedAt: new Date() } }
+                );
+                if (!claimed) continue;
+
+                const result = await attemptDelivery(delivery);
+                if (result.status === "delivered") delivered++;
+                if (result.status === "failed") failed++;
+            }
+
+            return { delivered, failed };
+        }
+
+        registerJob("webhook-deliveries", 1, processWebhookDeliveries);
+
+        function newWebhookSecret() {
+            return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+        }
+
+        async function loadWebhook(req, res, next) {
+            try {
+                if (!ObjectId.isValid(req.params.id)) {
+                    return res.status(400).send({ message: "Invalid webhook ID" });
+                }
+
+                const webhook = await webhooksCollection.findOne({ _id: new ObjectId(req.params.id) }, { projection: { secret: 0 } });
+                if (!webhook) return res.status(404).send({ message: "Webhook not found" });
+
+                req.webhook = webhook;
+                next();
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        }
+
+        // GET all webhooks (admin); secrets are only shown on create and rotate
+        app.get('/integrations/webhooks', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const webhooks = await webhooksCollection.find({}, { projection: { secret: 0 } }).sort({ createdAt: -1 }).toArray();
+                res.send({ events: WEBHOOK_EVENTS, webhooks });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // CREATE webhook (admin)
+        app.post('/integrations/webhooks', verifyToken, requireRole("admin"), validate(schemas.webhookCreate), async (req, res) => {
+            try {
+                const { url, events, description = "", active = true } = req.body;
+                const secret = newWebhookSecret();
+
+                const result = await webhooksCollection.insertOne({
+                    url,
+                    events,
+                    description,
+                    active,
+                    secret,
+                    createdBy: req.user.email,
+                    createdAt: new Date(),
+                    updatedAt: new Date()
+                });
+
+                await recordAudit(req, {
+                    action: "webhook.create",
+                    targetType: "webhook",
+                    targetId: result.insertedId,
+                    after: { url, events, description, active }
+                });
+
+                res.send({ acknowledged: true, insertedId: result.insertedId, secret });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET one webhook (admin)
+        app.get('/integrations/webhooks/:id', verifyToken, requireRole("admin"), loadWebhook, async (req, res) => {
+            res.send(req.webhook);
+        });
+
+        // UPDATE webhook url, events, description or active flag (admin)
+        app.patch('/integrations/webhooks/:id', verifyToken, requireRole("admin"), loadWebhook, validate(schemas.webhookUpdate), async (req, res) => {
+            try {
+                const result = await webhooksCollection.updateOne(
+                    { _id: req.webhook._id },
+                    { $set: { ...req.body, updatedAt: new Date() } }
+                );
+
+                await recordAudit(req, {
+                    action: "webhook.update",
+                    targetType: "webhook",
+                    targetId: req.webhook._id,
+                    before: pick(req.webhook, Object.keys(req.body)),
+                    after: req.body
+                });
+
+                res.send({ success: true, result });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // ROTATE the signing secret (admin)
+        app.post('/integrations/webhooks/:id/rotate-secret', verifyToken, requireRole("admin"), loadWebhook, async (req, res) => {
+            try {
+                const secret = newWebhookSecret();
+                await webhooksCollection.updateOne({ _id: req.webhook._id }, { $set: { secret, updatedAt: new Date() } });
+
+                await recordAudit(req, { action: "webhook.rotate-secret", targetType: "webhook", targetId: req.webhook._id });
+
+                res.send({ success: true, secret });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DELETE webhook and its delivery log (admin)
+        app.delete('/integrations/webhooks/:id', verifyToken, requireRole("admin"), loadWebhook, async (req, res) => {
+            try {
+                const result = await webhooksCollection.deleteOne({ _id: req.webhook._id });
+                await webhookDeliveriesCollection.deleteMany({ webhookId: req.webhook._id });
+
+                await recordAudit(req, { action: "webhook.delete", targetType: "webhook", targetId: req.webhook._id, before: req.webhook });
+
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET a webhook's delivery log, newest first; ?status=pending|delivered|failed
+        app.get('/integrations/webhooks/:id/deliveries', verifyToken, requireRole("admin"), loadWebhook, async (req, res) => {
+            try {
+                const filter = { webhookId: req.webhook._id };
+                if (req.query.status) filter.status = req.query.status;
+
+                const result = await findPage(webhookDeliveriesCollection, filter, { createdAt: -1, _id: -1 }, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // REDELIVER one delivery now, with its original payload (admin)
+        app.post('/integrations/webhooks/:id/deliveries/:deliveryId/redeliver', verifyToken, requireRole("admin"), loadWebhook, async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.deliveryId)) {
+                    return res.status(400).send({ message: "Invalid delivery ID" });
+                }
+
+                const delivery = await webhookDeliveriesCollection.findOne({
+                    _id: new ObjectId(req.params.deliveryId),
+                    webhookId: req.webhook._id
+                });
+                if (!delivery) return res.status(404).send({ message: "Delivery not found" });
+
+                // claim it like the job does, so the two can't send it at the same time
+                const claimed = await webhookDeliveriesCollection.findOneAndUpdate(
+                    { _id: delivery._id, status: { $ne: "sending" } },
+                    { $set: { status: "sending", claimedAt: new Date() } }
+                );
+                if (!claimed) {
+                    return res.status(409).send({ message: "Delivery is being sent" });
+                }
+
+                // a manual attempt gets a fresh retry budget
+                const result = await attemptDelivery({ ...delivery, attempts: 0 });
+
+                await recordAudit(req, {
+                    action: "webhook.redeliver",
+                    targetType: "webhook",
+                    targetId: req.webhook._id,
+                    before: { deliveryId: delivery._id.toString(), status: delivery.status },
+                    after: { deliveryId: delivery._id.toString(), status: result.status, responseStatus: result.responseStatus }
+                });
+
+                res.send({ success: result.status === "delivered", delivery: result });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // STREAM ROUTES
+        // -----------------------
+
+        // Live updates over Server-Sent Events, per issue, per staff queue or for the
+        // admin dashboard. Every event is checked with issueAccessError against the
+        // issue as it was when the event happened. Events go into streamEvents under a
+        // sequence number, so every instance streams every event (each one polls while
+        // it has clients) and a reconnecting client replays from its Last-Event-ID.
+        const streamClients = new Set();
+        let streamCursor = 0;      // highest seq this instance has fanned out
+        let streamPoller = null;
+
+        function streamMatches(client, event) {
+            if (issueAccessError(client.user, event.issue)) return false;
+            if (event.internal && !canSeeInternal(client.user)) return false;
+            if (client.issueId) return event.issueId === client.issueId;
+            if (client.staffEmail) return event.issue.assignedStaff === client.staffEmail;
+            return true;   // admin dashboard
+        }
+
+        function writeStreamEvent(res, event) {
+            res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        }
+
+        async function nextStreamSeq() {
+            const counter = await countersCollection.findOneAndUpdate(
+                { _id: "streamEvents" },
+                { $inc: { seq: 1 } },
+                { upsert: true, returnDocument: "after" }
+            );
+            return counter.seq;
+        }
+
+        // data may be a function of the issue's current state (e.g. the upvote count)
+        async function publishIssueEvent(issueId, type, data) {
+            if (!ObjectId.isValid(issueId)) return;
+
+            const issue = await issuesCollection.findOne(
+                { _id: new ObjectId(issueId) },
+                { projection: { reporterEmail: 1, assignedStaff: 1, upvotes: 1 } }
+            );
+            if (!issue) return;
+
+            const payload = typeof data === "function" ? data(issue) : data;
+
+            await streamEventsCollection.insertOne({
+                seq: await nextStreamSeq(),
+                type,
+                issueId: String(issueId),
+                issue,
+                internal: payload.internal === true || payload.visibility === "internal",
+                data: { issueId: String(issueId), ...payload },
+                time: new Date()
+            });
+        }
+
+        onTimeline(async entry => {
+            await publishIssueEvent(entry.issueId, "timeline", entry);
+
+            if (entry.event === "assigned") {
+                await publishIssueEvent(entry.issueId, "assignment", { staffEmail: entry.staffEmail, time: entry.time });
+            }
+        });
+
+        // Clients still catching up queue live events until their replay is written
+        function deliverStreamEvent(client, event) {
+            if (client.queue) return client.queue.push(event);
+            if (event.seq <= client.lastSeq || !streamMatches(client, event)) return;
+
+            writeStreamEvent(client.res, event);
+            client.lastSeq = event.seq;
+        }
+
+        // Seqs are taken before the insert, so a later event can land first: stop at a hole
+        // unless the event after it is old enough that the missing one was never written
+        function contiguousEvents(events, after) {
+            const ready = [];
+            let expected = after + 1;
+
+            for (const event of events) {
+                if (event.seq !== expected && Date.now() - event.time < STREAM_GAP_TIMEOUT) break;
+                ready.push(event);
+                expected = event.seq + 1;
+            }
+
+            return ready;
+        }
+
+        async function pollStreamEvents() {
+            const events = await streamEventsCollection.find({ seq: { $gt: streamCursor } }).sort({ seq: 1 }).limit(500).toArray();
+
+            for (const event of contiguousEvents(events, streamCursor)) {
+                streamCursor = event.seq;
+                for (const client of streamClients) deliverStreamEvent(client, event);
+            }
+        }
+
+        async function startStreamPoller() {
+            if (streamPoller) return;
+
+            const latest = await streamEventsCollection.findOne({}, { sort: { seq: -1 }, projection: { seq: 1 } });
+            if (streamPoller) return;   // another connection started it meanwhile
+
+            streamCursor = latest?.seq || 0;
+
+            let polling = false;
+            streamPoller = setInterval(async () => {
+                if (polling) return;
+                polling = true;
+                try {
+                    await pollStreamEvents();
+                } catch (err) {
+                    console.error("Stream poll failed:", err.message);
+                }
+                polling = false;
+            }, STREAM_POLL_INTERVAL);
+        }
+
+        function stopStreamPollerIfIdle() {
+            if (streamClients.size || !streamPoller) return;
+            clearInterval(streamPoller);
+            streamPoller = null;
+        }
+
+        async function openStream(req, res, client) {
+            res.set({
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                "Connection": "keep-alive",
+                "X-Accel-Buffering": "no"
+            });
+            res.flushHeaders();
+            res.write("retry: 2000\n\n");
+
+            client.res = res;
+            client.lastSeq = 0;
+            client.queue = [];
+            streamClients.add(client);
+
+            const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT);
+            const timeLimit = STREAM_MAX_DURATION ? setTimeout(() => res.end(), STREAM_MAX_DURATION) : null;
+
+            res.on("close", () => {
+                clearInterval(heartbeat);
+                clearTimeout(timeLimit);
+                streamClients.delete(client);
+                stopStreamPollerIfIdle();
+            });
+
+            await startStreamPoller();
+            const upTo = streamCursor;
+
+            const lastId = Number(req.get("Last-Event-ID") || req.query.lastEventId);
+            if (lastId) {
+                const [oldest, latest] = await Promise.all([
+                    streamEventsCollection.findOne({}, { sort: { seq: 1 }, projection: { seq: 1 } }),
+                    streamEventsCollection.findOne({}, { sort: { seq: -1 }, projection: { seq: 1 } })
+                ]);
+
+                if (!latest || lastId > latest.seq || lastId < oldest.seq - 1) {
+                    // expired, or from before events were stored; the client should refetch
+                    res.write("event: reset\ndata: {}\n\n");
+                } else {
+                    const missed = await streamEventsCollection.find({ seq: { $gt: lastId, $lte: upTo } }).sort({ seq: 1 }).toArray();
+                    missed.filter(event => streamMatches(client, event)).forEach(event => writeStreamEvent(res, event));
+                }
+            }
+
+            client.lastSeq = Math.max(lastId || 0, upTo);
+
+            const queued = client.queue;
+            client.queue = null;
+            queued.forEach(event => deliverStreamEvent(client, event));
+        }
+
+        // ISSUE a ?ticket= for EventSource streams and attachment downloads
+        app.post('/tickets', verifyToken, async (req, res) => {
+            try {
+                const ticket = crypto.randomBytes(32).toString("base64url");
+                const expiresAt = new Date(Date.now() + TICKET_TTL);
+
+                await ticketsCollection.insertOne({
+                    _id: hashTicket(ticket),
+                    email: req.user.email,
+                    uid: req.user.uid,
+                    expiresAt
+                });
+
+                res.send({ ticket, expiresAt });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // STREAM one issue (same access as GET /issues/:id)
+        app.get('/stream/issues/:id', ticketAuth(), async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.id)) {
+                    return res.status(400).send({ message: "Invalid issue ID" });
+                }
+
+                const issue = await issuesCollection.findOne({ _id: new ObjectId(req.params.id) });
+                if (!issue) return res.status(404).send({ message: "Issue not found" });
+
+                const accessError = issueAccessError(req.user, issue);
+                if (accessError) return res.status(403).send({ message: accessError });
+
+                await openStream(req, res, { user: req.user, issueId: req.params.id });
+            } catch (err) {
+                if (res.headersSent) return res.destroy(err);
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // STREAM a staff queue: staff get their own, admins pick one with ?staff=
+        app.get('/stream/queue', ticketAuth(), async (req, res) => {
+            try {
+                let staffEmail = req.user.email;
+
+                if (req.user.role === "admin") {
+                    if (!req.query.staff) return res.status(400).send({ message: "staff is required" });
+                    staffEmail = req.query.staff;
+                } else if (req.user.role !== "staff") {
+                    return res.status(403).send({ message: "Forbidden - Role required: staff" });
+                }
+
+                await openStream(req, res, { user: req.user, staffEmail });
+            } catch (err) {
+                if (res.headersSent) return res.destroy(err);
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // STREAM everything (admin dashboard)
+        app.get('/stream/dashboard', ticketAuth(), requireRole("admin"), async (req, res) => {
+            try {
+                await openStream(req, res, { user: req.user });
+            } catch (err) {
+                if (res.headersSent) return res.destroy(err);
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // ATTACHMENT ROUTES
+        // -----------------------
+
+        // An attachment is readable by whoever can read what it hangs off: a hidden issue
+        // needs private access, and a comment's own visibility rules apply
+        async function canReadAttachment(user, attachment) {
+            const issue = await issuesCollection.findOne(
+                { _id: new ObjectId(attachment.issueId) },
+                { projection: { reporterEmail: 1, assignedStaff: 1, isHidden: 1 } }
+            );
+            if (!issue) return false;
+            if (issue.isHidden && issueAccessError(user, issue)) return false;
+
+            if (attachment.commentId) {
+                const comment = await commentsCollection.findOne({ _id: new ObjectId(attachment.commentId) });
+                if (!comment || !canReadComment(user, comment)) return false;
+            }
+
+            return true;
+        }
+
+        async function removeAttachmentFiles(attachment) {
+            await storage.remove(attachment.key);
+            if (attachment.thumbnailKey) await storage.remove(attachment.thumbnailKey);
+        }
+
+        // UPLOAD files to an issue (multipart "files"). Optional fields: commentId to attach
+        // to one of your comments, purpose "proof" (staff/admin photos for a status change).
+        // Files on a comment fall under a commenting suspension, the rest under posting; the
+        // multipart body has to be parsed before we know which.
+        app.post('/issues/:id/attachments', verifyToken, checkBlocked(), uploadFiles,
+            (req, res, next) => checkBlocked(req.body.commentId ? "commenting" : "posting")(req, res, next),
+            validate(schemas.attachmentUpload), async (req, res) => {
+            try {
+                const issueId = req.params.id;
+                const { commentId = null, purpose = "attachment" } = req.body;
+                const files = req.files || [];
+
+                if (!ObjectId.isValid(issueId)) return res.status(400).send({ message: "Invalid issue ID" });
+                if (!files.length) {
+                    return res.status(422).send({ message: "Validation failed", errors: [{ field: "files", message: "files is required" }] });
+                }
+
+                const issue = await issuesCollection.findOne({ _id: new ObjectId(issueId) });
+                if (!issue) return res.status(404).send({ message: "Issue not found" });
+
+                let comment = null;
+
+                if (commentId) {
+                    comment = await commentsCollection.findOne({ _id: new ObjectId(commentId), issueId });
+                    if (!comment || comment.isDeleted) return res.status(404).send({ message: "Comment not found" });
+
+                    if (comment.userEmail !== req.user.email && req.user.role !== "admin") {
+                        return res.status(403).send({ message: "You can only attach files to your own comments" });
+                    }
+                } else {
+                    const accessError = issueAccessError(req.user, issue);
+                    if (accessError) return res.status(403).send({ message: accessError });
+                }
+
+                if (purpose === "proof") {
+                    if (!canSeeInternal(req.user)) return res.status(403).send({ message: "Only staff and admins can upload proof" });
+                    if (commentId) return res.status(400).send({ message: "Proof belongs to the issue, not a comment" });
+                }
+
+                // check everything before storing anything
+                const processed = [];
+                for (const file of files) {
+                    const result = await processAttachment(file);
+                    if (result.error) return res.status(400).send({ message: result.error });
+                    if (purpose === "proof" && result.kind !== "photo") {
+                        return res.status(400).send({ message: `${file.originalname}: proof must be a photo` });
+                    }
+                    processed.push({ ...result, originalName: file.originalname });
+                }
+
+                const now = new Date();
+                const folder = `attachments/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, "0")}`;
+
+                const docs = [];
+                for (const file of processed) {
+                    const _id = new ObjectId();
+                    const key = `${folder}/${_id}.${file.ext}`;
+                    const thumbnailKey = file.thumbnail ? `${folder}/${_id}-thumb.webp` : null;
+
+                    await storage.put(key, file.buffer, file.contentType);
+                    if (thumbnailKey) await storage.put(thumbnailKey, file.thumbnail, "image/webp");
+
+                    docs.push({
+                        _id,
+                        issueId,
+                        commentId,
+                        transition: null,
+                        purpose,
+                        kind: file.kind,
+                        originalName: file.originalName,
+                        contentType: file.contentType,
+                        size: file.buffer.length,
+                        width: file.width ?? null,
+                        height: file.height ?? null,
+                        key,
+                        thumbnailKey,
+                        storage: storage.name,
+                        uploadedBy: req.user.email,
+                        createdAt: now
+                    });
+                }
+
+                await attachmentsCollection.insertMany(docs);
+
+                await recordTimeline({
+                    issueId,
+                    status: "attachment",
+                    event: "attachment-added",
+                    attachmentIds: docs.map(doc => doc._id.toString()),
+                    internal: comment?.visibility === "internal",
+                    message: purpose === "proof"
+                        ? `${docs.length} proof photo(s) uploaded`
+                        : `${docs.length} file(s) attached${commentId ? " to a comment" : ""}`,
+                    updatedBy: req.user.email,
+                    time: now
+                });
+
+                res.send({ success: true, attachments: docs.map(attachmentView) });
+            } catch (err) {
+                console.error("Attachment upload error:", err);
+                res.status(500).send({ message: "Upload failed", error: err.message });
+            }
+        });
+
+        // GET an issue's attachments (what the caller may see of them)
+        app.get('/issues/:id/attachments', optionalAuth, async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid issue ID" });
+
+                const issue = await issuesCollection.findOne(
+                    { _id: new ObjectId(req.params.id) },
+                    { projection: { reporterEmail: 1, assignedStaff: 1, isHidden: 1 } }
+                );
+                if (!issue) return res.status(404).send({ message: "Issue not found" });
+                if (issue.isHidden && issueAccessError(req.user, issue)) return res.status(404).send({ message: "Issue not found" });
+
+                const attachments = await attachmentsCollection.find({ issueId: req.params.id }).sort({ createdAt: 1 }).toArray();
+
+                const commentIds = [...new Set(attachments.filter(a => a.commentId).map(a => a.commentId))];
+                const comments = await commentsCollection.find({ _id: { $in: commentIds.map(id => new ObjectId(id)) } }).toArray();
+                const readable = new Set(comments.filter(c => canReadComment(req.user, c)).map(c => c._id.toString()));
+
+                res.send(attachments
+                    .filter(a => !a.commentId || readable.has(a.commentId))
+                    .map(attachmentView));
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DOWNLOAD an attachment or its thumbnail (<img> tags send a ?ticket= instead of a token)
+        async function sendAttachment(req, res, variant) {
+            try {
+                if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid attachment ID" });
+
+                const attachment = await attachmentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+                if (!attachment || !(await canReadAttachment(req.user, attachment))) {
+                    return res.status(404).send({ message: "Attachment not found" });
+                }
+
+                const key = variant === "thumbnail" ? attachment.thumbnailKey : attachment.key;
+                const stream = key && await storage.get(key);
+                if (!stream) return res.status(404).send({ message: "File not found" });
+
+                res.type(variant === "thumbnail" ? "image/webp" : attachment.contentType);
+                res.set("X-Content-Type-Options", "nosniff");
+                res.set("Cache-Control", "private, max-age=3600");
+                if (attachment.kind === "file") res.attachment(attachment.originalName);
+
+                stream.on("error", err => res.destroy(err));
+                stream.pipe(res);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        }
+
+        app.get('/attachments/:id/file', ticketAuth(false), (req, res) => sendAttachment(req, res, "file"));
+        app.get('/attachments/:id/thumbnail', ticketAuth(false), (req, res) => sendAttachment(req, res, "thumbnail"));
+
+        // DELETE an attachment (uploader or admin; proof already used for a status change is admin-only)
+        app.delete('/attachments/:id', verifyToken, checkBlocked(), async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid attachment ID" });
+
+                const attachment = await attachmentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+                if (!attachment) return res.status(404).send({ message: "Attachment not found" });
+
+                const isAdmin = req.user.role === "admin";
+                if (attachment.uploadedBy !== req.user.email && !isAdmin) {
+                    return res.status(403).send({ message: "Not allowed" });
+                }
+                if (attachment.transition && !isAdmin) {
+                    return res.status(403).send({ message: "Proof of a completed status change can only be removed by an admin" });
+                }
+
+                await attachmentsCollection.deleteOne({ _id: attachment._id });
+                await removeAttachmentFiles(attachment);
+
+                if (attachment.uploadedBy !== req.user.email) {
+                    await recordAudit(req, { action: "attachment.delete", targetType: "attachment", targetId: attachment._id, before: attachment });
+                }
+
+                await recordTimeline({
+                    issueId: attachment.issueId,
+                    status: "attachment",
+                    event: "attachment-removed",
+                    attachmentIds: [attachment._id.toString()],
+                    message: `Attachment removed (${attachment.originalName})`,
+                    updatedBy: req.user.email,
+                    time: new Date()
+                });
+
+                res.send({ success: true });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // AUDIT ROUTES
+        // -----------------------
+
+        // GET audit entries, newest first (admin). Filters: action, actor, targetType, targetId, from, to
+        app.get('/audit', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const { filter, error } = buildAuditFilter(req.query);
+                if (error) return res.status(400).send({ message: error });
+
+                const result = await findPage(auditCollection, filter, { time: -1, _id: -1 }, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                res.send(result);
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // EXPORT audit entries as CSV (default) or JSON, same filters as GET /audit (admin)
+        app.get('/audit/export', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const { filter, error } = buildAuditFilter(req.query);
+                if (error) return res.status(400).send({ message: error });
+
+                const format = req.query.format === "json" ? "json" : "csv";
+                const stamp = new Date().toISOString().slice(0, 10);
+
+                res.attachment(`audit-${stamp}.${format}`);
+                res.type(format);
+
+                const cursor = auditCollection.find(filter).sort({ time: -1, _id: -1 });
+
+                async function* csv() {
+                    yield "time,action,actorEmail,actorRole,targetType,targetId,before,after,ip,userAgent\r\n";
+
+                    for await (const entry of cursor) {
+                        yield [
+                            entry.time, entry.action, entry.actor?.email, entry.actor?.role, entry.target?.type,
+                            entry.target?.id, entry.before, entry.after, entry.ip, entry.userAgent
+                        ].map(csvCell).join(",") + "\r\n";
+                    }
+                }
+
+                async function* json() {
+                    let first = true;
+                    yield "[";
+
+                    for await (const entry of cursor) {
+                        yield (first ? "" : ",") + JSON.stringify(entry);
+                        first = false;
+                    }
+
+                    yield "]";
+                }
+
+                await streamResponse(res, format === "csv" ? csv() : json());
+            } catch (err) {
+                // once streaming has started the status line is gone; just cut the response
+                if (res.headersSent) return res.destroy(err);
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // -----------------------
+        // ISSUE ROUTES
+        // -----------------------
+
+        // Open issues that look like the same problem, best match first
+        async function findDuplicateCandidates(issue) {
+            const filter = {
+                isHidden: false,
+                status: { $nin: CLOSED_STATUSES }
+            };
+
+            if (issue.category) filter.category = issue.category;
+
+            if (issue.geo) {
+                filter.geo = {
+                    $geoWithin: { $centerSphere: [issue.geo.coordinates, DUPLICATE_RADIUS / 6378100] }
+                };
+            } else {
+                filter.reportedAt = { $gte: new Date(Date.now() - DUPLICATE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) };
+            }
+
+            const candidates = await issuesCollection
+                .find(filter, { projection: { title: 1, description: 1, location: 1, geo: 1, status: 1, upvotes: 1, category: 1 } })
+                .limit(50)
+                .toArray();
+
+            const words = tokenize(`${issue.title} ${issue.description}`);
+            const placeWords = tokenize(issue.location);
+
+            return candidates
+                .map(candidate => {
+                    const similarity = textSimilarity(words, tokenize(`${candidate.title} ${candidate.description}`));
+                    let score;
+                    let distance = null;
+
+                    if (issue.geo && candidate.geo) {
+                        distance = Math.round(distanceBetween(issue.geo, candidate.geo));
+                        score = 0.6 * similarity + 0.4 * (1 - distance / DUPLICATE_RADIUS);
+                    } else {
+                        score = 0.7 * similarity + 0.3 * textSimilarity(placeWords, tokenize(candidate.location));
+                    }
+
+                    return {
+                        _id: candidate._id,
+                        title: candidate.title,
+                        location: candidate.location,
+                        status: candidate.status,
+                        upvotes: candidate.upvotes || 0,
+                        distance,
+                        score: Math.round(score * 100) / 100
+                    };
+                })
+                .filter(candidate => candidate.score >= DUPLICATE_THRESHOLD)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 5);
+        }
+
+        // CREATE ISSUE (private)
+        app.post('/issues', verifyToken, checkBlocked("posting"), validate(schemas.issueCreate, { readOnly: ISSUE_READ_ONLY }), async (req, res) => {
+            try {
+                const issue = req.body;
+                issue.reporterEmail = req.user.email;
+                issue.userEmail = req.user.email;
+
+                // coordinates are stored as a GeoJSON point next to the text `location`
+                const { latitude, longitude } = issue;
+                delete issue.latitude;
+                delete issue.longitude;
+
+                if (latitude !== undefined || longitude !== undefined) {
+                    const geo = toGeoPoint(latitude, longitude);
+                    if (!geo) {
+                        return res.status(400).send({ message: "Invalid latitude/longitude" });
+                    }
+                    issue.geo = geo;
+                }
+
+                const issueCount = await issuesCollection.countDocuments({ reporterEmail: req.user.email });
+
+                if (!req.user.isPremium && issueCount >= 3) {
+                    return res.status(403).send({ message: "Free user limit reached. Upgrade to premium." });
+                }
+
+                // offer "upvote this instead" unless the reporter insists on filing
+                const force = issue.force === true;
+                delete issue.force;
+
+                if (!force) {
+                    const duplicates = await findDuplicateCandidates(issue);
+                    if (duplicates.length) {
+                        return res.status(409).send({
+                            message: "Similar open issues already exist. Upvote one of them or resubmit with force: true",
+                            duplicates
+                        });
+                    }
+                }
+
+                const workflow = await getWorkflow(issue.category);
+
+                issue.status = workflow.initialStatus;
+                Object.assign(issue, priorityFields("normal"));
+                issue.reportedAt = new Date();
+                issue.updatedAt = issue.reportedAt;
+                issue.upvotes = 0;
+                issue.upvoters = [];
+                issue.isHidden = false;
+
+                const result = await issuesCollection.insertOne(issue);
+
+                // the issue exists from here on: a failing side effect is logged, not
+                // reported as a failed create (the client would retry and file it twice)
+                const issueId = result.insertedId;
+                let assignment = null;
+
+                const steps = {
+                    timeline: () => recordTimeline({
+                        issueId: issueId.toString(),
+                        status: issue.status,
+                        event: "reported",
+                        message: "Issue reported",
+                        updatedBy: req.user.email,
+                        time: new Date()
+                    }),
+                    screening: () => screenContent("issue", issueId, issueId, `${issue.title} ${issue.description}`),
+                    sla: () => applySla(issueId),
+                    "auto-assignment": async () => { assignment = await autoAssignOn("created", issueId); }
+                };
+
+                for (const [name, step] of Object.entries(steps)) {
+                    try {
+                        await step();
+                    } catch (err) {
+                        console.error(`Issue ${issueId} created, but ${name} failed:`, err);
+                    }
+                }
+
+                res.send({ acknowledged: true, insertedId: result.insertedId, assignment });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // ASSIGN / REASSIGN (admin, or the lead of the department that owns the issue's category)
+        app.patch("/issues/assign/:id", verifyToken, validate(schemas.issueAssign), async (req, res) => {
+            try {
+                const { id } = req.params;
+                const { staffEmail, note } = req.body;
+
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ message: "Invalid issue ID" });
+                }
+
+                // ✅ verify staff
+                const staff = await req.usersCollection.findOne({
+                    email: staffEmail,
+                    role: "staff"
+                });
+
+                if (!staff) {
+                    return res.status(404).send({ message: "Staff not found" });
+                }
+
+                // ✅ verify issue
+                const issue = await req.issuesCollection.findOne({
+                    _id: new ObjectId(id)
+                });
+
+                if (!issue) {
+                    return res.status(404).send({ message: "Issue not found" });
+                }
+
+                // ✅ leads may only assign their own department's issues to its members
+                if (req.user.role !== "admin") {
+                    const department = await getDepartmentForCategory(issue.category);
+
+                    if (!department || department.leadEmail !== req.user.email) {
+                        return res.status(403).send({ message: "Forbidden - admin or department lead required" });
+                    }
+
+                    if (!department.members.includes(staffEmail)) {
+                        return res.status(400).send({ message: "Staff is not a member of this department" });
+                    }
+                }
+
+                // ✅ assign issue (+ timeline log)
+                const result = await assignIssue(issue, staffEmail, req.user.email, `Assigned to staff ${staffEmail}`, note);
+
+                if (result.error) {
+                    return res.status(result.status).send({ message: result.error });
+                }
+
+                await recordAudit(req, {
+                    action: "issue.assign",
+                    targetType: "issue",
+                    targetId: id,
+                    before: { assignedStaff: issue.assignedStaff || null },
+                    after: { assignedStaff: staffEmail }
+                });
+
+                res.send({
+                    success: true,
+                    modifiedCount: result.modifiedCount
+                });
+
+            } catch (err) {
+                console.error("Assign issue error:", err);
+                res.status(500).send({ message: "Failed to assign issue" });
+            }
+        });
+
+        // MERGE DUPLICATES into a canonical issue (admin)
+        app.post('/issues/:id/merge', verifyToken, requireRole("admin"), validate(schemas.issueMerge), async (req, res) => {
+            try {
+                const canonicalId = req.params.id;
+                const { duplicateIds } = req.body;
+
+                if (!ObjectId.isValid(canonicalId)) {
+                    return res.status(400).send({ message: "Invalid issue ID" });
+                }
+
+                const ids = [...new Set(duplicateIds.map(String))].filter(id => id !== canonicalId);
+                if (!ids.length) {
+                    return res.status(400).send({ message: "duplicateIds must name at least one issue other than the canonical one" });
+                }
+
+                const canonical = await issuesCollection.findOne({ _id: new ObjectId(canonicalId) });
+                if (!canonical || canonical.mergedInto) {
+                    return res.status(404).send({ message: "Canonical issue not found" });
+                }
+
+                const duplicates = await issuesCollection
+                    .find({ _id: { $in: ids.map(id => new ObjectId(id)) }, mergedInto: { $exists: false } })
+                    .toArray();
+
+                if (duplicates.length !== ids.length) {
+                    return res.status(400).send({ message: "Some duplicates were not found or are already merged" });
+                }
+
+                // a reporter can't upvote their own issue, even through a merge
+                const upvoters = new Set(canonical.upvoters || []);
+                for (const duplicate of duplicates) {
+                    for (const email of duplicate.upvoters || []) upvoters.add(email);
+                    upvoters.add(duplicate.reporterEmail);
+                }
+                upvoters.delete(canonical.reporterEmail);
+
+                await issuesCollection.updateOne(
+                    { _id: canonical._id },
+                    { $set: { upvoters: [...upvoters], upvotes: upvoters.size, updatedAt: new Date() } }
+                );
+
+                await commentsCollection.updateMany(
+                    { issueId: { $in: ids } },
+                    [{ $set: { mergedFrom: "$issueId", issueId: canonicalId } }]
+                );
+
+                await timelineCollection.updateMany(
+                    { issueId: { $in: ids } },
+                    [{ $set: { mergedFrom: "$issueId", issueId: canonicalId } }]
+                );
+
+                await attachmentsCollection.updateMany(
+                    { issueId: { $in: ids } },
+                    [{ $set: { mergedFrom: "$issueId", issueId: canonicalId } }]
+                );
+
+                // vote history moves too, one issue's worth per voter: rows from someone already
+                // voting on the canonical issue (or an earlier duplicate) stay with the duplicate
+                const voters = new Set(await votesCollection.distinct("userEmail", { issueId: canonicalId }));
+                voters.add(canonical.reporterEmail);
+
+                for (const id of ids) {
+                    const newVoters = (await votesCollection.distinct("userEmail", { issueId: id })).filter(email => !voters.has(email));
+                    if (!newVoters.length) continue;
+
+                    await votesCollection.updateMany(
+                        { issueId: id, userEmail: { $in: newVoters } },
+                        [{ $set: { mergedFrom: "$issueId", issueId: canonicalId } }]
+                    );
+                    newVoters.forEach(email => voters.add(email));
+                }
+
+                await issuesCollection.updateMany(
+                    { _id: { $in: duplicates.map(d => d._id) } },
+                    { $set: { isHidden: true, mergedInto: canonicalId, mergedAt: new Date(), updatedAt: new Date() } }
+                );
+
+                // the merged issues keep one row pointing at the canonical issue
+                await Promise.all(ids.map(id => recordTimeline({
+                    issueId: id,
+                    status: "merged",
+                    event: "merged",
+                    message: `Merged into issue ${canonicalId}`,
+                    updatedBy: req.user.email,
+                    time: new Date()
+                })));
+
+                await recordTimeline({
+                    issueId: canonicalId,
+                    status: "merged",
+                    event: "merged",
+                    message: `Merged ${ids.length} duplicate issue(s): ${ids.join(", ")}`,
+                    updatedBy: req.user.email,
+                    time: new Date()
+                });
+
+                await recordAudit(req, {
+                    action: "issue.merge",
+                    targetType: "issue",
+                    targetId: canonicalId,
+                    after: { duplicateIds: ids, upvotes: upvoters.size }
+                });
+
+                res.send({ success: true, mergedCount: ids.length, upvotes: upvoters.size });
+            } catch (err) {
+                console.error("Merge issues error:", err);
+                res.status(500).send({ message: "Failed to merge issues" });
+            }
+        });
+
+        app.get('/issues/my/:email', verifyToken, async (req, res) => {
+            if (req.user.email !== req.params.email) {
+                return res.status(403).send({ message: "Forbidden" });
+            }
+
+            const sortSpec = ISSUE_SORTS[req.query.sort || "newest"];
+            if (!sortSpec) return res.status(400).send({ message: "Invalid sort" });
+
+            const result = await findPage(req.issuesCollection, { reporterEmail: req.user.email }, sortSpec, req.query);
+            if (result.error) return res.status(400).send({ message: result.error });
+
+            res.send(result);
+        });
+
+        app.get('/issues', async (req, res) => {
+            try {
+                const { near, radius, bbox, search, sort } = req.query;
+
+                const { filter, error } = buildIssueFilter(req.query);
+                if (error) return res.status(400).send({ message: error });
+
+                if (filter.$text || near) await databaseReady;
+
+                // NEARBY: sorted by distance, each item carries `distance` in metres
+                if (near) {
+                    if (bbox) {
+                        return res.status(400).send({ message: "Use either near or bbox, not both" });
+                    }
+
+                    if (filter.$text) {
+                        return res.status(400).send({ message: "search cannot be combined with near" });
+                    }
+
+                    const point = parseLatLng(near);
+                    if (!point) {
+                        return res.status(400).send({ message: "Invalid near. Expected lat,lng" });
+                    }
+
+                    const maxDistance = Number(radius || DEFAULT_NEAR_RADIUS);
+                    if (!(maxDistance > 0) || maxDistance > MAX_NEAR_RADIUS) {
+                        return res.status(400).send({ message: `radius must be between 1 and ${MAX_NEAR_RADIUS} metres` });
+                    }
+
+                    const result = await aggregatePage(issuesCollection, [
+                        {
+                            $geoNear: {
+                                near: point,
+                                key: "geo",
+                                distanceField: "distance",
+                                maxDistance,
+                                query: filter,
+                                spherical: true
+                            }
+                        },
+                        { $set: { distance: { $round: ["$distance", 0] } } }
+                    ], req.query);
+
+                    if (result.error) return res.status(400).send({ message: result.error });
+
+                    result.items = withOverdueFlag(result.items);
+                    return res.send(result);
+                }
+
+                if (sort === "relevance" && !filter.$text) {
+                    return res.status(400).send({ message: "sort=relevance requires a search" });
+                }
+
+                if (sort && sort !== "relevance" && sort !== "trending" && !ISSUE_SORTS[sort]) {
+                    return res.status(400).send({
+                        message: `Invalid sort. Use one of: relevance, trending, ${Object.keys(ISSUE_SORTS).join(", ")}`
+                    });
+                }
+
+                if (sort === "oldest-open") {
+                    filter.$and = [...(filter.$and || []), { status: { $nin: CLOSED_STATUSES } }];
+                }
+
+                const sortSpec = sort === "relevance"
+                    ? { score: { $meta: "textScore" }, reportedAt: -1 }
+                    : ISSUE_SORTS[sort || "priority"];
+
+                const projection = filter.$text ? { score: { $meta: "textScore" } } : {};
+
+                // trending is a computed score, so it pages with offset cursors like the nearby listing
+                const result = sort === "trending"
+                    ? await aggregatePage(issuesCollection, [{ $match: filter }, ...trendingStages()], req.query)
+                    : await findPage(issuesCollection, filter, sortSpec, req.query, projection);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                result.items = withOverdueFlag(result.items);
+
+                // attach highlighted snippets so the search page can show why each issue matched
+                const terms = filter.$text ? parseSearchTerms(search) : [];
+                if (terms.length) {
+                    result.items = result.items.map(item => ({ ...item, highlights: buildHighlights(item, terms) }));
+                }
+
+                res.send(result);
+            } catch (err) {
+                if (isMissingIndex(err)) return res.status(503).send({ message: "Search is not ready yet, try again shortly" });
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // EXPORT ISSUES (admin), streamed. format=csv|excel|geojson (excel is CSV with a UTF-8 BOM so
+        // Excel reads accents correctly); same filters as GET /issues plus from, to and assignee;
+        // columns=id,title,...; counts=true adds timeline and comment counts.
+        // Registered before /issues/:id so "export" isn't taken for an ID.
+        app.get('/issues/export', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const { filter, format, columns, error } = parseExportQuery(req.query);
+                if (error) return res.status(400).send({ message: error });
+
+                if (filter.$text) await databaseReady;
+
+                const stages = [{ $match: filter }, { $sort: { reportedAt: -1, _id: -1 } }];
+
+                if (columns.includes("timelineCount")) {
+                    stages.push(
+                        {
+                            $lookup: {
+                                from: "timeline",
+                                let: { issueId: { $toString: "$_id" } },
+                                pipeline: [{ $match: { $expr: { $eq: ["$issueId", "$$issueId"] } } }, { $count: "n" }],
+                                as: "timelineCount"
+                            }
+                        },
+                        { $set: { timelineCount: { $ifNull: [{ $first: "$timelineCount.n" }, 0] } } }
+                    );
+                }
+
+                if (columns.includes("commentCount")) {
+                    stages.push(
+                        {
+                            $lookup: {
+                                from: "comments",
+                                let: { issueId: { $toString: "$_id" } },
+                                pipeline: [
+                                    { $match: { $expr: { $eq: ["$issueId", "$$issueId"] }, isDeleted: { $ne: true } } },
+                                    { $count: "n" }
+                                ],
+                                as: "commentCount"
+                            }
+                        },
+                        { $set: { commentCount: { $ifNull: [{ $first: "$commentCount.n" }, 0] } } }
+                    );
+                }
+
+                await recordAudit(req, {
+                    action: "issue.export",
+                    targetType: "export",
+                    targetId: format,
+                    after: { columns, query: req.query }
+                });
+
+                const stamp = new Date().toISOString().slice(0, 10);
+                res.attachment(`issues-${stamp}.${format === "geojson" ? "geojson" : "csv"}`);
+                res.type(format === "geojson" ? "application/geo+json" : "text/csv; charset=utf-8");
+
+                const cursor = issuesCollection.aggregate(stages, { allowDiskUse: true });
+                const row = issue => columns.map(column => EXPORT_COLUMNS[column](issue));
+
+                async function* geojson() {
+                    let first = true;
+                    yield '{"type":"FeatureCollection","features":[';
+
+                    for await (const issue of cursor) {
+                        const values = row(issue);
+                        const feature = {
+                            type: "Feature",
+                            id: issue._id.toString(),
+                            geometry: issue.geo || null,
+                            properties: Object.fromEntries(columns.map((column, i) => [column, values[i] ?? null]))
+                        };
+                        yield (first ? "" : ",") + JSON.stringify(feature);
+                        first = false;
+                    }
+
+                    yield "]}";
+                }
+
+                async function* csv() {
+                    yield (format === "excel" ? "\uFEFF" : "") + columns.join(",") + "\r\n";
+
+                    for await (const issue of cursor) {
+                        yield row(issue).map(csvCell).join(",") + "\r\n";
+                    }
+                }
+
+                await streamResponse(res, format === "geojson" ? geojson() : csv());
+            } catch (err) {
+                // once streaming has started the status line is gone; just cut the response
+                if (res.headersSent) return res.destroy(err);
+                if (isMissingIndex(err)) return res.status(503).send({ message: "Search is not ready yet, try again shortly" });
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // SET UPVOTE: { upvoted: true } (the default) adds the caller's vote, { upvoted: false }
+        // takes it back. The caller states the outcome, so a double click or a retried request
+        // lands in the same place; each direction is a single conditional update.
+        app.patch('/issues/upvote/:id', verifyToken, checkBlocked(), validate(schemas.issueUpvote), async (req, res) => {
+            try {
+                const issueId = req.params.id;
+                const userEmail = req.user.email;
+                const { upvoted = true } = req.body;
+
+                if (!ObjectId.isValid(issueId)) {
+                    return res.status(400).send({ message: "Invalid issue ID" });
+                }
+
+                const _id = new ObjectId(issueId);
+
+                const issue = upvoted
+                    ? await issuesCollection.findOneAndUpdate(
+                        { _id, reporterEmail: { $ne: userEmail }, upvoters: { $ne: userEmail } },
+                        { $inc: { upvotes: 1 }, $push: { upvoters: userEmail }, $set: { updatedAt: new Date() } },
+                        { returnDocument: "after", projection: { upvotes: 1 } }
+                    )
+                    : await issuesCollection.findOneAndUpdate(
+                        { _id, upvoters: userEmail },
+                        { $inc: { upvotes: -1 }, $pull: { upvoters: userEmail }, $set: { updatedAt: new Date() } },
+                        { returnDocument: "after", projection: { upvotes: 1 } }
+                    );
+
+                // nothing changed: missing, own issue, or the vote was already as requested
+                if (!issue) {
+                    const existing = await issuesCollection.findOne({ _id }, { projection: { reporterEmail: 1, upvotes: 1 } });
+                    if (!existing) return res.status(404).send({ message: "Issue not found" });
+                    if (upvoted && existing.reporterEmail === userEmail) {
+                        return res.status(403).send({ message: "You cannot upvote your own issue" });
+                    }
+                    return res.send({ success: true, upvoted, upvotes: existing.upvotes || 0, modified: false });
+                }
+
+                const voter = await usersCollection.findOne({ email: userEmail }, { projection: { createdAt: 1 } });
+                await votesCollection.insertOne({
+                    issueId,
+                    userEmail,
+                    action: upvoted ? "added" : "removed",
+                    accountCreatedAt: voter?.createdAt || null,
+                    freshAccount: isFreshAccount(voter),
+                    ip: req.ip,
+                    time: new Date()
+                });
+
+                await publishIssueEvent(issueId, "upvotes", { upvotes: issue.upvotes });
+
+                res.send({ success: true, upvoted, upvotes: issue.upvotes, modified: true });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // VOTE HISTORY (admin): every vote and retraction, newest first, plus bursts
+        // of fresh-account votes
+        app.get('/issues/:id/votes', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const issueId = req.params.id;
+                if (!ObjectId.isValid(issueId)) {
+                    return res.status(400).send({ message: "Invalid issue ID" });
+                }
+
+                const filter = { issueId };
+                if (req.query.fresh === "true") filter.freshAccount = true;
+
+                const result = await findPage(votesCollection, filter, { time: -1, _id: -1 }, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                const [summary] = await votesCollection.aggregate([
+                    { $match: { issueId } },
+                    {
+                        $group: {
+                            _id: null,
+                            added: { $sum: { $cond: [{ $eq: ["$action", "added"] }, 1, 0] } },
+                            removed: { $sum: { $cond: [{ $eq: ["$action", "removed"] }, 1, 0] } },
+                            freshAccountVotes: { $sum: { $cond: [{ $and: ["$freshAccount", { $eq: ["$action", "added"] }] }, 1, 0] } }
+                        }
+                    },
+                    { $project: { _id: 0 } }
+                ]).toArray();
+
+                const bursts = await votesCollection.aggregate([{ $match: { issueId } }, ...voteBurstStages()]).toArray();
+
+                res.send({
+                    ...result,
+                    summary: summary || { added: 0, removed: 0, freshAccountVotes: 0 },
+                    bursts
+                });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET SINGLE ISSUE (private; enforce access by role)
+        app.get('/issues/:id', verifyToken, async (req, res) => {
+            try {
+                const id = req.params.id;
+                const issue = await issuesCollection.findOne({ _id: new ObjectId(id) });
+                if (!issue) return res.status(404).send({ message: "Issue not found" });
+
+                const user = await usersCollection.findOne({ email: req.user.email });
+
+                const accessError = issueAccessError(user, issue);
+                if (accessError) return res.status(403).send({ message: accessError });
+
+                res.send({ ...issue, isOverdue: isIssueOverdue(issue) });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+
+        // UPDATE ISSUE STATUS (staff assigned OR admin), enforced by the category's workflow
+        app.patch('/issues/:id/status', verifyToken, checkBlocked(), validate(schemas.issueStatus), async (req, res) => {
+            try {
+                const id = req.params.id;
+                const { status, note, proofIds = [] } = req.body;
+
+                const issue = await issuesCollection.findOne({ _id: new ObjectId(id) });
+                if (!issue) return res.status(404).send({ message: "Issue not found" });
+
+                const user = await usersCollection.findOne({ email: req.user.email });
+                if (!user) return res.status(403).send({ message: "Forbidden" });
+
+                // citizens cannot update status
+                if (user.role === "citizen" || user.role === "user") {
+                    return res.status(403).send({ message: "Forbidden: Citizens cannot update status" });
+                }
+
+                // staff can only update issues assigned to them
+                if (user.role === "staff" && issue.assignedStaff !== req.user.email) {
+                    return res.status(403).send({ message: "Forbidden: Not assigned to you" });
+                }
+
+                // validate against the workflow (admins included)
+                const workflow = await getWorkflow(issue.category);
+                const check = checkTransition(workflow, issue.status, status, user.role, {
+                    ...req.body,
+                    confirmation: isConfirmationSettled(issue)
+                });
+                if (check.error) {
+                    return res.status(check.status).send({ message: check.error });
+                }
+
+                // proof must be unused proof photos uploaded to this issue
+                if (proofIds.length) {
+                    const proofCount = await attachmentsCollection.countDocuments({
+                        _id: { $in: proofIds.map(proofId => new ObjectId(proofId)) },
+                        issueId: id,
+                        purpose: "proof",
+                        transition: null
+                    });
+                    if (proofCount !== new Set(proofIds).size) {
+                        return res.status(400).send({ message: "proofIds must be unused proof photos uploaded to this issue" });
+                    }
+                }
+
+                // entering a status that waits on the reporter opens a fresh confirmation window
+                const update = { status, updatedAt: new Date() };
+                if (confirmationStatuses(workflow).includes(status)) {
+                    update.confirmation = {
+                        status: "pending",
+                        requestedAt: new Date(),
+                        deadline: new Date(Date.now() + CONFIRMATION_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+                    };
+                }
+
+                // perform update (guarded on the old status so concurrent updates can't both apply)
+                const result = await issuesCollection.updateOne(
+                    { _id: new ObjectId(id), status: issue.status },
+                    { $set: update }
+                );
+
+                if (result.modifiedCount === 0) {
+                    return res.status(409).send({ message: "Issue status changed meanwhile, reload and retry" });
+                }
+
+                if (proofIds.length) {
+                    await attachmentsCollection.updateMany(
+                        { _id: { $in: proofIds.map(proofId => new ObjectId(proofId)) } },
+                        { $set: { transition: { from: issue.status, to: status, by: req.user.email, at: new Date() } } }
+                    );
+                }
+
+                await recordTimeline({
+                    issueId: id,
+                    status,
+                    event: "status-changed",
+                    previousStatus: issue.status,
+                    message: note || `Status changed to ${status}`,
+                    note: note || "",
+                    proofIds,
+                    updatedBy: req.user.email,
+                    time: new Date()
+                });
+
+                if (issue.status === workflow.initialStatus) {
+                    await markAcknowledged(issue._id);
+                }
+
+                await autoAssignOn(status, id);
+
+                res.send({ success: true, result });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // One rating per issue (rating again replaces it), mirrored onto the issue.
+        // Credited to whoever is assigned when the reporter rates.
+        async function saveRating(issue, rating, comment) {
+            const now = new Date();
+            const issueId = issue._id.toString();
+
+            await ratingsCollection.updateOne(
+                { issueId },
+                {
+                    $set: {
+                        reporterEmail: issue.reporterEmail,
+                        staffEmail: issue.assignedStaff || null,
+                        category: issue.category,
+                        rating,
+                        comment: comment || "",
+                        updatedAt: now
+                    },
+                    $setOnInsert: { issueId, createdAt: now }
+                },
+                { upsert: true }
+            );
+
+            await issuesCollection.updateOne({ _id: issue._id }, { $set: { rating: { value: rating, ratedAt: now } } });
+
+            await recordTimeline({
+                issueId,
+                status: issue.status,
+                event: "rated",
+                message: `Reporter rated the resolution ${rating}/5`,
+                updatedBy: issue.reporterEmail,
+                time: now
+            });
+        }
+
+        // Reporter-only issue lookup: { issue, workflow } or { status, message }
+        async function findOwnIssue(req) {
+            const id = req.params.id;
+            if (!ObjectId.isValid(id)) return { status: 400, message: "Invalid issue ID" };
+
+            const issue = await issuesCollection.findOne({ _id: new ObjectId(id) });
+            if (!issue) return { status: 404, message: "Issue not found" };
+            if (issue.reporterEmail !== req.user.email) {
+                return { status: 403, message: "Forbidden: Only the reporter can do this" };
+            }
+
+            return { issue, workflow: await getWorkflow(issue.category) };
+        }
+
+        // CONFIRM THE RESOLUTION (reporter), optionally rating it in the same step
+        app.post('/issues/:id/confirm', verifyToken, checkBlocked(), validate(schemas.issueConfirm), async (req, res) => {
+            try {
+                const { issue, workflow, status, message } = await findOwnIssue(req);
+                if (!issue) return res.status(status).send({ message });
+
+                const { rating, comment } = req.body;
+
+                // a lapsed window can still be confirmed, as long as nobody has moved the issue on
+                if (!confirmationStatuses(workflow).includes(issue.status) || issue.confirmation?.status !== "pending") {
+                    return res.status(400).send({ message: "This issue is not waiting for your confirmation" });
+                }
+
+                const result = await issuesCollection.updateOne(
+                    { _id: issue._id, status: issue.status, "confirmation.status": "pending" },
+                    { $set: { "confirmation.status": "confirmed", "confirmation.respondedAt": new Date(), updatedAt: new Date() } }
+                );
+
+                if (result.modifiedCount === 0) {
+                    return res.status(409).send({ message: "Issue changed meanwhile, reload and retry" });
+                }
+
+                await recordTimeline({
+                    issueId: issue._id.toString(),
+                    status: issue.status,
+                    event: "confirmed",
+                    message: "Reporter confirmed the resolution",
+                    updatedBy: req.user.email,
+                    time: new Date()
+                });
+
+                if (rating) await saveRating(issue, rating, comment);
+
+                res.send({ success: true });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // REOPEN (reporter, within the confirmation window)
+        app.post('/issues/:id/reopen', verifyToken, checkBlocked(), validate(schemas.issueReopen), async (req, res) => {
+            try {
+                const { issue, workflow, status, message } = await findOwnIssue(req);
+                if (!issue) return res.status(status).send({ message });
+
+                const { reason } = req.body;
+
+                if (!confirmationStatuses(workflow).includes(issue.status) || !openConfirmation(issue)) {
+                    return res.status(400).send({ message: "This issue can no longer be reopened by its reporter" });
+                }
+
+                if (!workflow.statuses.includes("reopened")) {
+                    return res.status(400).send({ message: `The "${workflow.category}" workflow has no reopened status` });
+                }
+
+                const result = await issuesCollection.updateOne(
+                    { _id: issue._id, status: issue.status, "confirmation.status": "pending" },
+                    {
+                        $set: {
+                            status: "reopened",
+                            "confirmation.status": "reopened",
+                            "confirmation.reason": reason,
+                            "confirmation.respondedAt": new Date(),
+                            updatedAt: new Date()
+                        }
+                    }
+                );
+
+                if (result.modifiedCount === 0) {
+                    return res.status(409).send({ message: "Issue changed meanwhile, reload and retry" });
+                }
+
+                await recordTimeline({
+                    issueId: issue._id.toString(),
+                    status: "reopened",
+                    event: "status-changed",
+                    previousStatus: issue.status,
+                    reopenedByReporter: true,
+                    staffEmail: issue.assignedStaff || null,
+                    message: `Reopened by the reporter: ${reason}`,
+                    note: reason,
+                    updatedBy: req.user.email,
+                    time: new Date()
+                });
+
+                await autoAssignOn("reopened", issue._id.toString());
+
+                res.send({ success: true, status: "reopened" });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // RATE THE RESOLUTION (reporter; resolved or closed issues)
+        app.post('/issues/:id/rating', verifyToken, checkBlocked(), validate(schemas.issueRating), async (req, res) => {
+            try {
+                const { issue, status, message } = await findOwnIssue(req);
+                if (!issue) return res.status(status).send({ message });
+
+                if (!CLOSED_STATUSES.includes(issue.status) || issue.status === "rejected") {
+                    return res.status(400).send({ message: "Only resolved or closed issues can be rated" });
+                }
+
+                const { rating, comment } = req.body;
+                await saveRating(issue, rating, comment);
+
+                res.send({ success: true, rating });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
 
-        // CREATE ISSUE (private)
-        app.post('/issues', verifyToken, checkBlocked, async (req, res) => {
+        // BOOST ISSUE (payment status only — the boost itself is applied by the Stripe webhook)
+        app.post('/issues/:id/boost', verifyToken, checkBlocked(), validate(schemas.issueBoost), async (req, res) => {
             try {
-                const issue = req.body || {};
-                issue.reporterEmail = req.user.email;
-                issue.userEmail = req.user.email;
+                const id = req.params.id;
+                const { paymentId } = req.body;
 
-                const user = await usersCollection.findOne({ email: req.user.email });
-                const issueCount = await issuesCollection.countDocuments({ reporterEmail: req.user.email });
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ message: "Invalid issue ID" });
+                }
 
-                if (!user?.premium && issueCount >= 3) {
-                    return res.status(403).send({ message: "Free user limit reached. Upgrade to premium." });
+                const issue = await req.issuesCollection.findOne({ _id: new ObjectId(id) });
+
+                if (!issue) {
+                    return res.status(404).send({ message: "Issue not found" });
                 }
 
-                issue.status = issue.status || "pending";
-                issue.priority = issue.priority || "normal";
-                issue.reportedAt = new Date();
-                issue.upvotes = issue.upvotes || 0;
-                issue.upvoters = issue.upvoters || [];
-                issue.isHidden = false;
+                const paymentIntent = await stripe.paymentIntents.retrieve(paymentId);
 
-                const result = await issuesCollection.insertOne(issue);
+                if (
+                    paymentIntent.metadata?.email !== req.user.email ||
+                    paymentIntent.metadata?.purpose !== "issue_boost" ||
+                    paymentIntent.metadata?.issueId !== id
+                ) {
+                    return res.status(403).send({ message: "Payment does not belong to this boost" });
+                }
 
-                await timelineCollection.insertOne({
-                    issueId: result.insertedId.toString(),
-                    status: issue.status,
-                    message: "Issue reported",
-                    updatedBy: req.user.email,
-                    time: new Date()
+                res.send({
+                    success: paymentIntent.status === "succeeded",
+                    paymentStatus: paymentIntent.status,
+                    isBoosted: !!issue.isBoosted
                 });
 
-                res.send({ acknowledged: true, insertedId: result.insertedId });
             } catch (err) {
                 res.status(500).send({ error: err.message });
             }
         });
 
-        app.patch("/issues/assign/:id", verifyToken, requireRole("admin"), async (req, res) => {
+
+        // =========================
+        // PAYMENT ROUTES
+        // =========================
+
+        // Create Stripe payment intent for frontend PaymentPage (issue boosts only;
+        // premium is sold as a subscription, see SUBSCRIPTION ROUTES)
+        app.post('/create-payment-intent', verifyToken, checkBlocked(), validate(schemas.paymentIntent), async (req, res) => {
             try {
-                const { id } = req.params;
-                const { staffEmail } = req.body;
+                const { amount, purpose = "issue_boost", issueId } = req.body;
 
-                if (!ObjectId.isValid(id)) {
-                    return res.status(400).send({ message: "Invalid issue ID" });
+                if (purpose === "premium") {
+                    return res.status(400).send({ message: "Premium is a subscription. Use POST /subscriptions" });
                 }
 
-                if (!staffEmail) {
-                    return res.status(400).send({ message: "Staff email required" });
+                if (purpose !== "issue_boost") {
+                    return res.status(400).send({ message: "Invalid purpose" });
                 }
 
-                // ✅ verify staff
-                const staff = await req.usersCollection.findOne({
-                    email: staffEmail,
-                    role: "staff"
-                });
-
-                if (!staff) {
-                    return res.status(404).send({ message: "Staff not found" });
+                // the webhook boosts whatever issueId is in the metadata, so check it up front
+                if (!issueId || !ObjectId.isValid(issueId)) {
+                    return res.status(400).send({ message: "Invalid issue ID" });
                 }
 
-                // ✅ verify issue
-                const issue = await req.issuesCollection.findOne({
-                    _id: new ObjectId(id)
-                });
+                const issue = await req.issuesCollection.findOne({ _id: new ObjectId(issueId) });
 
                 if (!issue) {
                     return res.status(404).send({ message: "Issue not found" });
                 }
 
-                // ✅ assign issue
-                const result = await req.issuesCollection.updateOne(
-                    { _id: new ObjectId(id) },
-                    {
-                        $set: {
-                            assignedStaff: staffEmail,     // ✅ STRING
-                            status: "in-progress",         // ✅ REQUIRED
-                            assignedAt: new Date()
-                        }
-                    }
-                );
+                if (issue.isBoosted || issue.priority === "high") {
+                    return res.status(400).send({ message: "Issue already boosted" });
+                }
 
-                // ✅ timeline log
-                await req.timelineCollection.insertOne({
-                    issueId: id,
-                    status: "in-progress",
-                    message: `Assigned to staff ${staffEmail}`,
-                    updatedBy: req.user.email,
-                    time: new Date()
+                const paymentIntent = await stripe.paymentIntents.create({
+                    amount,
+                    currency: "usd",
+                    payment_method_types: ["card"],
+                    metadata: {
+                        email: req.user.email,
+                        purpose,
+                        issueId
+                    }
                 });
 
-                res.send({
-                    success: true,
-                    modifiedCount: result.modifiedCount
-                });
+                res.send({ clientSecret: paymentIntent.client_secret });
 
             } catch (err) {
-                console.error("Assign issue error:", err);
-                res.status(500).send({ message: "Failed to assign issue" });
+                console.error("🔥 STRIPE PAYMENT INTENT ERROR 🔥");
+                console.error(err);
+
+                res.status(500).send({
+                    message: "Stripe payment intent failed",
+                    error: err.message
+                });
             }
         });
 
-        app.get('/issues/my/:email', verifyToken, async (req, res) => {
-            if (req.user.email !== req.params.email) {
-                return res.status(403).send({ message: "Forbidden" });
+
+        // =========================
+        // SUBSCRIPTION ROUTES
+        // =========================
+
+        // Mirror a Stripe subscription onto our membership record
+        async function syncSubscription(subscription) {
+            const existing = await subscriptionsCollection.findOne({ stripeCustomerId: subscription.customer });
+            const email = subscription.metadata?.email || existing?.email;
+            if (!email) return;
+
+            // a grandfathered lifetime membership is never downgraded by Stripe events
+            if (existing?.plan === "lifetime" && existing.status === "active") return;
+
+            const status = toMembershipStatus(subscription.status);
+
+            // events for an abandoned (e.g. incomplete) subscription must not
+            // overwrite the one that is actually paying
+            if (
+                existing?.stripeSubscriptionId &&
+                existing.stripeSubscriptionId !== subscription.id &&
+                isMembershipActive(existing) &&
+                status !== "active"
+            ) {
+                return;
             }
 
-            const issues = await req.issuesCollection
-                .find({ reporterEmail: req.user.email })
-                .sort({ reportedAt: -1 })
-                .toArray();
+            const item = subscription.items?.data?.[0];
 
-            res.send(issues);
-        });
+            await subscriptionsCollection.updateOne(
+                { email },
+                {
+                    $set: {
+                        stripeCustomerId: subscription.customer,
+                        stripeSubscriptionId: subscription.id,
+                        plan: subscription.metadata?.plan || existing?.plan || "monthly",
+                        status,
+                        currentPeriodEnd: item ? new Date(item.current_period_end * 1000) : null,
+                        cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+                        updatedAt: new Date()
+                    },
+                    $setOnInsert: { email, createdAt: new Date() }
+                },
+                { upsert: true }
+            );
+        }
 
-        app.get('/issues', async (req, res) => {
+        // GET own membership
+        app.get('/subscriptions/me', verifyToken, async (req, res) => {
             try {
-                const { page, limit, search, status, priority, category } = req.query;
+                const subscription = await subscriptionsCollection.findOne(
+                    { email: req.user.email },
+                    { projection: { _id: 0, stripeCustomerId: 0 } }
+                );
 
-                const filter = {
-                    isHidden: false
-                };
+                res.send({
+                    active: isMembershipActive(subscription),
+                    subscription: subscription || null
+                });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
 
-                if (status && status !== "All") filter.status = status;
-                if (priority && priority !== "All") filter.priority = priority;
-                if (category && category !== "All") filter.category = category;
+        // SUBSCRIBE: creates the Stripe subscription; the client confirms the first invoice
+        app.post('/subscriptions', verifyToken, checkBlocked(), validate(schemas.subscriptionCreate), async (req, res) => {
+            try {
+                const { plan = "monthly" } = req.body;
 
-                if (search) {
-                    const s = search.trim();
-                    filter.$or = [
-                        { title: { $regex: s, $options: "i" } },
-                        { description: { $regex: s, $options: "i" } },
-                        { location: { $regex: s, $options: "i" } }
-                    ];
+                if (!PREMIUM_PLANS[plan]) {
+                    return res.status(400).send({ message: "Invalid plan" });
                 }
 
-                const sortSpec = { priority: -1, reportedAt: -1 };
+                const existing = await subscriptionsCollection.findOne({ email: req.user.email });
+
+                if (isMembershipActive(existing)) {
+                    return res.status(400).send({ message: "Membership already active" });
+                }
 
-                if (page || limit) {
-                    const p = parseInt(page || 1, 10);
-                    const l = parseInt(limit || 12, 10);
-                    const total = await issuesCollection.countDocuments(filter);
-                    const items = await issuesCollection
-                        .find(filter)
-                        .sort(sortSpec)
-                        .skip((p - 1) * l)
-                        .limit(l)
-                        .toArray();
+                let customerId = existing?.stripeCustomerId;
 
-                    return res.send({ total, items });
+                if (!customerId) {
+                    const customer = await stripe.customers.create({
+                        email: req.user.email,
+                        metadata: { email: req.user.email }
+                    });
+                    customerId = customer.id;
+
+                    await subscriptionsCollection.updateOne(
+                        { email: req.user.email },
+                        {
+                            $set: { stripeCustomerId: customerId, updatedAt: new Date() },
+                            $setOnInsert: { email: req.user.email, status: "incomplete", createdAt: new Date() }
+                        },
+                        { upsert: true }
+                    );
                 }
 
-                const items = await issuesCollection.find(filter).sort(sortSpec).toArray();
-                res.send(items);
+                const subscription = await stripe.subscriptions.create({
+                    customer: customerId,
+                    items: [{ price: PREMIUM_PLANS[plan] }],
+                    payment_behavior: "default_incomplete",
+                    payment_settings: { save_default_payment_method: "on_subscription" },
+                    expand: ["latest_invoice.confirmation_secret"],
+                    metadata: {
+                        email: req.user.email,
+                        plan,
+                        purpose: "premium_subscription"
+                    }
+                });
+
+                await syncSubscription(subscription);
+
+                res.send({
+                    subscriptionId: subscription.id,
+                    clientSecret: subscription.latest_invoice?.confirmation_secret?.client_secret
+                });
             } catch (err) {
-                res.status(500).send({ error: err.message });
+                console.error("Subscription create error:", err);
+                res.status(500).send({ message: "Subscription failed", error: err.message });
             }
         });
 
-        // UPVOTE ISSUE
-        app.patch('/issues/upvote/:id', verifyToken, async (req, res) => {
+        // CANCEL at period end (membership stays active until currentPeriodEnd)
+        app.post('/subscriptions/cancel', verifyToken, async (req, res) => {
             try {
-                const issueId = req.params.id;
-                const userEmail = req.user.email;
-
-                const issue = await issuesCollection.findOne({ _id: new ObjectId(issueId) });
+                const existing = await subscriptionsCollection.findOne({ email: req.user.email });
 
-                if (!issue) {
-                    return res.status(404).send({ message: "Issue not found" });
+                if (!isMembershipActive(existing)) {
+                    return res.status(400).send({ message: "No active membership" });
                 }
 
-                if (issue.reporterEmail === userEmail) {
-                    return res.status(403).send({ message: "You cannot upvote your own issue" });
+                if (existing.plan === "lifetime") {
+                    return res.status(400).send({ message: "Lifetime memberships have nothing to cancel" });
                 }
 
-                if (issue.upvoters?.includes(userEmail)) {
-                    return res.status(400).send({ message: "You already upvoted this issue" });
-                }
+                const subscription = await stripe.subscriptions.update(existing.stripeSubscriptionId, {
+                    cancel_at_period_end: true
+                });
 
-                const result = await issuesCollection.updateOne(
-                    { _id: new ObjectId(issueId) },
-                    {
-                        $inc: { upvotes: 1 },
-                        $push: { upvoters: userEmail }
-                    }
-                );
+                await syncSubscription(subscription);
 
-                res.send({ success: true, modifiedCount: result.modifiedCount });
+                res.send({ success: true, currentPeriodEnd: existing.currentPeriodEnd });
             } catch (err) {
                 res.status(500).send({ error: err.message });
             }
         });
 
-        // GET SINGLE ISSUE (private; enforce access by role)
-        app.get('/issues/:id', verifyToken, async (req, res) => {
+        // RESUME a subscription that was set to cancel at period end
+        app.post('/subscriptions/resume', verifyToken, async (req, res) => {
             try {
-                const id = req.params.id;
-                const issue = await issuesCollection.findOne({ _id: new ObjectId(id) });
-                if (!issue) return res.status(404).send({ message: "Issue not found" });
+                const existing = await subscriptionsCollection.findOne({ email: req.user.email });
 
-                const user = await usersCollection.findOne({ email: req.user.email });
+                if (!isMembershipActive(existing) || !existing.cancelAtPeriodEnd) {
+                    return res.status(400).send({ message: "Nothing to resume" });
+                }
 
-                if (!user) return res.status(403).send({ message: "Forbidden" });
+                const subscription = await stripe.subscriptions.update(existing.stripeSubscriptionId, {
+                    cancel_at_period_end: false
+                });
 
-                if (user.role === "citizen" || user.role === "user") {
-                    if (issue.reporterEmail !== req.user.email) return res.status(403).send({ message: "Forbidden: Not your issue" });
-                } else if (user.role === "staff") {
-                    if (issue.assignedStaff !== req.user.email) return res.status(403).send({ message: "Forbidden: Not assigned to you" });
-                }
-                // admin allowed
+                await syncSubscription(subscription);
 
-                res.send(issue);
+                res.send({ success: true });
             } catch (err) {
                 res.status(500).send({ error: err.message });
             }
         });
 
 
-        // UPDATE ISSUE STATUS (staff assigned OR admin). Admin may bypass flow; staff must follow VALID_STATUS_FLOW.
-        app.patch('/issues/:id/status', verifyToken, async (req, res) => {
-            try {
-                const id = req.params.id;
-                const { status, note } = req.body;
-                if (!status) return res.status(400).send({ message: "Status is required" });
-
-                const issue = await issuesCollection.findOne({ _id: new ObjectId(id) });
-                if (!issue) return res.status(404).send({ message: "Issue not found" });
-
-                const user = await usersCollection.findOne({ email: req.user.email });
-                if (!user) return res.status(403).send({ message: "Forbidden" });
+        // =========================
+        // STRIPE WEBHOOK
+        // =========================
 
-                // citizens cannot update status
-                if (user.role === "citizen" || user.role === "user") {
-                    return res.status(403).send({ message: "Forbidden: Citizens cannot update status" });
-                }
+        // Record a succeeded boost payment and apply it. Every write is
+        // idempotent so a redelivered event can't double-boost.
+        async function fulfillPayment(paymentIntent) {
+            const { email, purpose, issueId } = paymentIntent.metadata || {};
 
-                // staff can only update issues assigned to them
-                if (user.role === "staff" && issue.assignedStaff !== req.user.email) {
-                    return res.status(403).send({ message: "Forbidden: Not assigned to you" });
-                }
+            if (purpose !== "issue_boost" || !ObjectId.isValid(issueId)) return;
 
-                // validate flow (staff must follow allowed transitions)
-                if (user.role === "staff") {
-                    const allowed = VALID_STATUS_FLOW[issue.status] || [];
-                    if (!allowed.includes(status)) {
-                        return res.status(400).send({ message: `Invalid status update. Allowed: ${issue.status} → ${allowed.join(', ') || 'none'}` });
-                    }
-                }
-                // admin may set any valid status
+            // only the first delivery flips the flag, so only it writes a timeline row
+            const before = await issuesCollection.findOneAndUpdate(
+                { _id: new ObjectId(issueId), isBoosted: { $ne: true } },
+                { $set: { ...priorityFields("high"), isBoosted: true, updatedAt: new Date() } },
+                { returnDocument: "before" }
+            );
 
-                // perform update
-                const result = await issuesCollection.updateOne({ _id: new ObjectId(id) }, { $set: { status } });
+            // previousPriority lets a refund put the issue back where it was
+            const boostFields = before
+                ? { boostApplied: true, previousPriority: before.priority || "normal" }
+                : {};
+
+            await paymentsCollection.updateOne(
+                { stripePaymentIntentId: paymentIntent.id },
+                {
+                    $set: { status: "succeeded", updatedAt: new Date(), ...boostFields },
+                    $setOnInsert: newLedgerEntry({
+                        purpose: "issue_boost",
+                        userEmail: email,
+                        issueId,
+                        amount: paymentIntent.amount_received / 100,
+                        currency: paymentIntent.currency,
+                        stripePaymentIntentId: paymentIntent.id
+                    })
+                },
+                { upsert: true }
+            );
 
-                await timelineCollection.insertOne({
-                    issueId: id,
-                    status,
-                    message: note || `Status changed to ${status}`,
-                    updatedBy: req.user.email,
+            if (before) {
+                await recordTimeline({
+                    issueId,
+                    status: "boosted",
+                    event: "boosted",
+                    message: "Priority boosted via payment",
+                    updatedBy: email,
                     time: new Date()
                 });
 
-                res.send({ success: true, result });
+                await applySla(issueId);
+            }
+        }
+
+        async function recordFailedPayment(paymentIntent) {
+            const { email, purpose, issueId } = paymentIntent.metadata || {};
+
+            if (purpose !== "issue_boost") return;
+
+            // a late failure event must not overwrite a later success
+            const existing = await paymentsCollection.findOne({ stripePaymentIntentId: paymentIntent.id });
+            if (existing && existing.status !== "failed") return;
+
+            await paymentsCollection.updateOne(
+                { stripePaymentIntentId: paymentIntent.id },
+                {
+                    $set: {
+                        status: "failed",
+                        failureMessage: paymentIntent.last_payment_error?.message || "",
+                        updatedAt: new Date()
+                    },
+                    $setOnInsert: newLedgerEntry({
+                        purpose,
+                        userEmail: email,
+                        issueId,
+                        amount: paymentIntent.amount / 100,
+                        currency: paymentIntent.currency,
+                        stripePaymentIntentId: paymentIntent.id
+                    })
+                },
+                { upsert: true }
+            );
+        }
+
+        // Subscription invoices go into the payments ledger as premium payments
+        async function recordInvoicePayment(invoice, status) {
+            const subscriptionDetails = invoice.parent?.subscription_details;
+            if (!subscriptionDetails) return;
+
+            const membership = await subscriptionsCollection.findOne({ stripeCustomerId: invoice.customer });
+            const email = subscriptionDetails.metadata?.email || membership?.email || invoice.customer_email;
+
+            const existing = await paymentsCollection.findOne({ stripeInvoiceId: invoice.id });
+            if (existing && existing.status !== "failed") return;
+
+            await paymentsCollection.updateOne(
+                { stripeInvoiceId: invoice.id },
+                {
+                    $set: { status, updatedAt: new Date() },
+                    $setOnInsert: newLedgerEntry({
+                        purpose: "premium",
+                        userEmail: email,
+                        amount: (status === "succeeded" ? invoice.amount_paid : invoice.amount_due) / 100,
+                        currency: invoice.currency,
+                        stripeInvoiceId: invoice.id,
+                        stripeSubscriptionId: subscriptionDetails.subscription
+                    })
+                },
+                { upsert: true }
+            );
+        }
+
+        app.post('/webhooks/stripe', async (req, res) => {
+            let event;
+
+            try {
+                event = stripe.webhooks.constructEvent(
+                    req.rawBody,
+                    req.headers["stripe-signature"],
+                    process.env.STRIPE_WEBHOOK_SECRET
+                );
             } catch (err) {
-                res.status(500).send({ error: err.message });
+                return res.status(400).send({ message: `Webhook signature verification failed: ${err.message}` });
             }
-        });
 
-        // BOOST ISSUE (payment-based priority boost)
-        app.post('/issues/:id/boost', verifyToken, checkBlocked, async (req, res) => {
             try {
-                const id = req.params.id;
-                const { paymentId, amount } = req.body;
+                const seen = await stripeEventsCollection.findOne({ _id: event.id });
+                if (seen) {
+                    return res.send({ received: true, duplicate: true });
+                }
 
-                if (!paymentId || !amount) {
-                    return res.status(400).send({ message: "paymentId and amount required" });
+                switch (event.type) {
+                    case "payment_intent.succeeded":
+                        await fulfillPayment(event.data.object);
+                        break;
+                    case "payment_intent.payment_failed":
+                        await recordFailedPayment(event.data.object);
+                        break;
+                    case "customer.subscription.created":
+                    case "customer.subscription.updated":
+                    case "customer.subscription.deleted":
+                        await syncSubscription(event.data.object);
+                        break;
+                    case "invoice.paid":
+                        await recordInvoicePayment(event.data.object, "succeeded");
+                        break;
+                    case "invoice.payment_failed":
+                        await recordInvoicePayment(event.data.object, "failed");
+                        break;
+                    case "charge.refunded":
+                        await recordExternalRefund(event.data.object);
+                        break;
                 }
 
-                const issue = await req.issuesCollection.findOne({ _id: new ObjectId(id) });
+                // mark processed last, so a crash mid-way lets Stripe retry
+                await stripeEventsCollection.updateOne(
+                    { _id: event.id },
+                    { $setOnInsert: { type: event.type, processedAt: new Date() } },
+                    { upsert: true }
+                );
 
-                if (!issue) {
-                    return res.status(404).send({ message: "Issue not found" });
-                }
+                res.send({ received: true });
+            } catch (err) {
+                console.error("Stripe webhook error:", err);
+                res.status(500).send({ message: "Webhook handling failed" });
+            }
+        });
 
-                // prevent double boost
-                if (issue.isBoosted || issue.priority === "high") {
-                    return res.status(400).send({ message: "Issue already boosted" });
-                }
 
-                // 1️⃣ save payment
-                await req.paymentsCollection.insertOne({
-                    issueId: id,
-                    userEmail: req.user.email,
-                    paymentId,
-                    amount,
-                    purpose: "issue_boost",
-                    date: new Date()
-                });
+        // =========================
+        // PAYMENT LEDGER (ADMIN)
+        // =========================
 
-                // 2️⃣ update issue
-                const updateResult = await req.issuesCollection.updateOne(
-                    { _id: new ObjectId(id) },
+        // Reverse whatever a payment granted: boosts go back to the previous
+        // priority, premium subscriptions are cancelled immediately.
+        async function undoPayment(payment, actorEmail) {
+            if (payment.purpose === "issue_boost" && payment.boostApplied && ObjectId.isValid(payment.issueId)) {
+                await issuesCollection.updateOne(
+                    { _id: new ObjectId(payment.issueId) },
                     {
-                        $set: {
-                            priority: "high",
-                            isBoosted: true
-                        }
+                        $set: { ...priorityFields(payment.previousPriority || "normal"), updatedAt: new Date() },
+                        $unset: { isBoosted: "" }
                     }
                 );
 
-                // 3️⃣ timeline log (ONLY in timelineCollection)
-                await req.timelineCollection.insertOne({
-                    issueId: id,
-                    status: "boosted",
-                    message: "Priority boosted via payment",
-                    updatedBy: req.user.email,
+                await recordTimeline({
+                    issueId: payment.issueId,
+                    status: "boost-refunded",
+                    event: "boost-refunded",
+                    message: `Boost refunded, priority restored to ${payment.previousPriority || "normal"}`,
+                    updatedBy: actorEmail,
                     time: new Date()
                 });
 
-                res.send({ success: true, updateResult });
+                await applySla(payment.issueId);
+            }
 
-            } catch (err) {
-                res.status(500).send({ error: err.message });
+            if (payment.purpose === "premium" && payment.stripeSubscriptionId) {
+                const membership = await subscriptionsCollection.findOne({
+                    stripeSubscriptionId: payment.stripeSubscriptionId
+                });
+
+                if (membership && membership.status !== "canceled") {
+                    const subscription = await stripe.subscriptions.cancel(payment.stripeSubscriptionId);
+                    await syncSubscription(subscription);
+                }
+            } else if (payment.purpose === "premium") {
+                // a one-off purchase from before subscriptions; migrateLegacyPremium made it a lifetime membership
+                await subscriptionsCollection.updateOne(
+                    { email: payment.userEmail, plan: "lifetime", status: { $ne: "canceled" } },
+                    { $set: { status: "canceled", updatedAt: new Date() } }
+                );
+                await usersCollection.updateOne({ email: payment.userEmail }, { $unset: { premium: "" } });
             }
-        });
+        }
 
+        // Invoices don't carry their PaymentIntent any more; look it up
+        async function resolvePaymentIntentId(payment) {
+            if (payment.stripePaymentIntentId) return payment.stripePaymentIntentId;
+            if (!payment.stripeInvoiceId) return null;
 
-        // =========================
-        // PREMIUM PAYMENT ROUTES
-        // =========================
+            const invoicePayments = await stripe.invoicePayments.list({
+                invoice: payment.stripeInvoiceId,
+                status: "paid"
+            });
+            const paymentIntent = invoicePayments.data[0]?.payment?.payment_intent;
 
-        // Create Stripe payment intent for frontend PaymentPage
-        app.post('/create-payment-intent', verifyToken, async (req, res) => {
-            try {
-                const { amount, purpose = "premium", issueId } = req.body;
+            return typeof paymentIntent === "string" ? paymentIntent : paymentIntent?.id || null;
+        }
+
+        // Refunds issued from the Stripe dashboard still need their effect undone
+        async function recordExternalRefund(charge) {
+            if (!charge.refunded || !charge.payment_intent) return;
+
+            let payment = await paymentsCollection.findOne({ stripePaymentIntentId: charge.payment_intent });
+            if (!payment && charge.invoice) {
+                payment = await paymentsCollection.findOne({ stripeInvoiceId: charge.invoice });
+            }
 
-                if (!amount || typeof amount !== "number") {
-                    return res.status(400).send({ message: "Invalid amount" });
+            // "refunding" means our own refund endpoint is already handling it
+            if (!payment || payment.status !== "succeeded") return;
+
+            await paymentsCollection.updateOne(
+                { _id: payment._id },
+                {
+                    $set: {
+                        status: "refunded",
+                        refund: {
+                            stripeRefundId: charge.refunds?.data?.[0]?.id || null,
+                            amount: charge.amount_refunded / 100,
+                            reason: "Refunded in Stripe",
+                            refundedBy: "stripe",
+                            refundedAt: new Date()
+                        },
+                        updatedAt: new Date()
+                    }
                 }
+            );
 
-                const paymentIntent = await stripe.paymentIntents.create({
-                    amount,
-                    currency: "usd",
-                    payment_method_types: ["card"],
-                    metadata: {
-                        email: req.user.email,
-                        purpose,
-                        issueId: issueId || "N/A"
+            await undoPayment(payment, "stripe");
+        }
+
+        // GET payments ledger (admin) — filters: email, purpose, status, from, to
+        app.get('/payments', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const { email, purpose, status, from, to } = req.query;
+
+                const filter = {};
+
+                if (email) filter.userEmail = email;
+                if (purpose && purpose !== "All") filter.purpose = purpose;
+                if (status && status !== "All") filter.status = status;
+
+                if (from || to) {
+                    filter.createdAt = {};
+                    if (from) filter.createdAt.$gte = new Date(from);
+                    if (to) filter.createdAt.$lte = new Date(to);
+
+                    if (Object.values(filter.createdAt).some(d => isNaN(d))) {
+                        return res.status(400).send({ message: "Invalid date range" });
                     }
-                });
+                }
+
+                const result = await findPage(paymentsCollection, filter, { createdAt: -1, _id: -1 }, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
 
-                res.send({ clientSecret: paymentIntent.client_secret });
+                const total = result.total ?? await paymentsCollection.countDocuments(filter);
 
-            } catch (err) {
-                console.error("🔥 STRIPE PAYMENT INTENT ERROR 🔥");
-                console.error(err);
+                const totalsAgg = await paymentsCollection.aggregate([
+                    { $match: filter },
+                    { $group: { _id: "$status", amount: { $sum: "$amount" }, count: { $sum: 1 } } }
+                ]).toArray();
 
-                res.status(500).send({
-                    message: "Stripe payment intent failed",
-                    error: err.message
-                });
+                res.send({ ...result, total, totals: totalsAgg });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
             }
         });
 
-        // Verify payment + mark user as premium
-        app.post('/payment/premium/verify', verifyToken, async (req, res) => {
+        // REFUND a payment through Stripe and undo its effect (admin)
+        app.post('/payments/:id/refund', verifyToken, requireRole("admin"), validate(schemas.refund), async (req, res) => {
             try {
-                const { transactionId, amount } = req.body;
+                const { id } = req.params;
+                const { reason = "" } = req.body;
 
-                if (!transactionId || !amount) {
-                    return res.status(400).send({ message: "Missing transactionId or amount" });
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ message: "Invalid payment ID" });
                 }
 
-                // Save payment record
-                await req.paymentsCollection.insertOne({
-                    type: "premium",
-                    email: req.user.email,
-                    amount,
-                    transactionId,
-                    date: new Date()
-                });
+                // claim the payment first so two admins can't refund it twice
+                const payment = await paymentsCollection.findOneAndUpdate(
+                    { _id: new ObjectId(id), status: "succeeded" },
+                    { $set: { status: "refunding", updatedAt: new Date() } }
+                );
 
-                // Activate premium
-                await req.usersCollection.updateOne(
-                    { email: req.user.email },
-                    { $set: { premium: true } }
+                if (!payment) {
+                    return res.status(400).send({ message: "Payment not found or not refundable" });
+                }
+
+                let refund;
+
+                try {
+                    const paymentIntentId = await resolvePaymentIntentId(payment);
+                    if (!paymentIntentId) throw new Error("No Stripe payment to refund");
+
+                    refund = await stripe.refunds.create({
+                        payment_intent: paymentIntentId,
+                        reason: "requested_by_customer",
+                        metadata: { paymentId: id, refundedBy: req.user.email }
+                    });
+                } catch (err) {
+                    await paymentsCollection.updateOne(
+                        { _id: payment._id },
+                        { $set: { status: "succeeded", updatedAt: new Date() } }
+                    );
+                    return res.status(502).send({ message: "Stripe refund failed", error: err.message });
+                }
+
+                await paymentsCollection.updateOne(
+                    { _id: payment._id },
+                    {
+                        $set: {
+                            status: "refunded",
+                            refund: {
+                                stripeRefundId: refund.id,
+                                amount: refund.amount / 100,
+                                reason,
+                                refundedBy: req.user.email,
+                                refundedAt: new Date()
+                            },
+                            updatedAt: new Date()
+                        }
+                    }
                 );
 
-                res.send({ success: true, message: "Premium Activated!" });
+                await undoPayment(payment, req.user.email);
+
+                await recordAudit(req, {
+                    action: "payment.refund",
+                    targetType: "payment",
+                    targetId: id,
+                    before: { status: "succeeded", amount: payment.amount },
+                    after: { status: "refunded", stripeRefundId: refund.id, reason }
+                });
 
+                res.send({ success: true, refundId: refund.id });
             } catch (err) {
-                res.status(500).send({ error: err.message });
+                console.error("Refund error:", err);
+                res.status(500).send({ message: "Refund failed", error: err.message });
             }
         });
 
+
         // GET membership status
         app.get('/users/membership/:email', verifyToken, async (req, res) => {
             const email = req.params.email;
@@ -758,53 +5671,58 @@ async function run() {
                 return res.status(403).send({ message: "Unauthorized" });
             }
 
-            const user = await req.usersCollection.findOne({ email });
-
-            res.send({ status: user?.premium ? "premium" : "free" });
-        });
-
-        // UPDATE membership after payment
-        app.patch('/users/membership/:email', verifyToken, async (req, res) => {
-            const email = req.params.email;
-            const { status } = req.body;
-
-            if (!status) {
-                return res.status(400).send({ message: "Missing status" });
-            }
-
-            if (req.user.email !== email) {
-                return res.status(403).send({ message: "Unauthorized" });
-            }
-
-            const isPremium = status === "premium";
-
-            const result = await req.usersCollection.updateOne(
-                { email },
-                { $set: { premium: isPremium } }
-            );
+            const subscription = await req.subscriptionsCollection.findOne({ email });
 
-            res.send({ success: true, result });
+            res.send({
+                status: isMembershipActive(subscription) ? "premium" : "free",
+                currentPeriodEnd: subscription?.currentPeriodEnd || null,
+                cancelAtPeriodEnd: !!subscription?.cancelAtPeriodEnd
+            });
         });
 
 
 
-        // EDIT ISSUE (reporter only)
-        app.patch('/issues/edit/:id', verifyToken, async (req, res) => {
+        // EDIT ISSUE (reporter only, content fields only, while still pending)
+        app.patch('/issues/edit/:id', verifyToken, checkBlocked("posting"), validate(schemas.issueEdit, { readOnly: ISSUE_READ_ONLY }), async (req, res) => {
             try {
                 const id = req.params.id;
                 const issue = await issuesCollection.findOne({ _id: new ObjectId(id) });
                 if (!issue) return res.status(404).send({ message: "Not found" });
 
                 if (issue.reporterEmail !== req.user.email) return res.status(403).send({ message: "Not your issue" });
+                const workflow = await getWorkflow(issue.category);
+                if (issue.status !== workflow.initialStatus) {
+                    return res.status(400).send({ message: `Only ${workflow.initialStatus} issues can be edited` });
+                }
+
+                if (!Object.keys(req.body).length) {
+                    return res.status(422).send({ message: "Validation failed", errors: [{ field: "body", message: "Nothing to update" }] });
+                }
+
+                const updateDoc = { ...req.body, updatedAt: new Date() };
+                const { latitude, longitude } = updateDoc;
+                delete updateDoc.latitude;
+                delete updateDoc.longitude;
+
+                if (latitude !== undefined || longitude !== undefined) {
+                    const geo = toGeoPoint(latitude, longitude);
+                    if (!geo) return res.status(400).send({ message: "Invalid latitude/longitude" });
+                    updateDoc.geo = geo;
+                }
+
+                const result = await issuesCollection.updateOne({ _id: new ObjectId(id) }, { $set: updateDoc });
+
+                if (req.body.title !== undefined || req.body.description !== undefined) {
+                    await screenContent("issue", id, id, `${updateDoc.title ?? issue.title} ${updateDoc.description ?? issue.description}`);
+                }
 
-                const result = await issuesCollection.updateOne({ _id: new ObjectId(id) }, { $set: req.body });
                 res.send(result);
             } catch (err) {
                 res.status(500).send({ error: err.message });
             }
         });
 
-        app.delete('/issues/:id', verifyToken, async (req, res) => {
+        app.delete('/issues/:id', verifyToken, checkBlocked(), async (req, res) => {
             try {
                 const id = req.params.id;
                 const issue = await issuesCollection.findOne({ _id: new ObjectId(id) });
@@ -814,8 +5732,11 @@ async function run() {
                 if (!user) return res.status(403).send({ message: "Forbidden" });
 
                 if (req.user.email === issue.reporterEmail) {
-                    // reporter: allowed only if pending
-                    if (issue.status !== "pending") return res.status(400).send({ message: "Only pending issues can be deleted by reporter" });
+                    // reporter: allowed only while the issue is still in its initial status
+                    const workflow = await getWorkflow(issue.category);
+                    if (issue.status !== workflow.initialStatus) {
+                        return res.status(400).send({ message: `Only ${workflow.initialStatus} issues can be deleted by reporter` });
+                    }
                 } else if (user.role !== "admin") {
                     // not reporter and not admin
                     return res.status(403).send({ message: "Unauthorized" });
@@ -823,9 +5744,19 @@ async function run() {
 
                 const result = await issuesCollection.deleteOne({ _id: new ObjectId(id) });
 
-                await timelineCollection.insertOne({
+                // the timeline row below points at a document that is gone; the audit keeps a copy
+                await recordAudit(req, { action: "issue.delete", targetType: "issue", targetId: id, before: issue });
+
+                const attachments = await attachmentsCollection.find({ issueId: id }).toArray();
+                for (const attachment of attachments) {
+                    await removeAttachmentFiles(attachment);
+                }
+                await attachmentsCollection.deleteMany({ issueId: id });
+
+                await recordTimeline({
                     issueId: id,
                     status: "deleted",
+                    event: "deleted",
                     message: `Issue deleted by ${req.user.email}`,
                     updatedBy: req.user.email,
                     time: new Date()
@@ -841,60 +5772,233 @@ async function run() {
         // COMMENT ROUTES
         // -----------------------
 
-        // GET comments for an issue (public)
-        app.get('/comments/:issueId', async (req, res) => {
+        // Staff and admins among the people @mentioned in a comment
+        async function findMentionedStaff(text) {
+            const emails = parseMentions(text);
+            if (!emails.length) return [];
+
+            const staff = await usersCollection
+                .find({ email: { $in: emails }, role: { $in: ["staff", "admin"] } }, { projection: { email: 1 } })
+                .toArray();
+
+            return staff.map(user => user.email);
+        }
+
+        async function notifyMentions(emails, { issue, commentId, actorEmail }) {
+            const recipients = emails.filter(email => email !== actorEmail);
+            if (!recipients.length) return;
+
+            const users = await usersCollection
+                .find({ email: { $in: recipients } }, { projection: { email: 1, notificationPrefs: 1 } })
+                .toArray();
+
+            const notifications = users
+                .filter(user => user.notificationPrefs?.mention !== false)
+                .map(user => ({
+                    userEmail: user.email,
+                    type: "mention",
+                    issueId: issue._id.toString(),
+                    issueTitle: issue.title || "",
+                    commentId: commentId.toString(),
+                    message: `${actorEmail} mentioned you in a comment`,
+                    actor: actorEmail,
+                    read: false,
+                    createdAt: new Date()
+                }));
+
+            if (notifications.length) {
+                await notificationsCollection.insertMany(notifications);
+            }
+        }
+
+        // Who may read a comment: internal notes need staff/admin, hidden ones the author or an admin
+        function canReadComment(user, comment) {
+            if (comment.visibility === "internal" && !canSeeInternal(user)) return false;
+            if (comment.isHidden && !(user && (user.role === "admin" || user.email === comment.userEmail))) return false;
+            return true;
+        }
+
+        // GET comments for an issue (public; staff and admins also see internal notes).
+        // Pages over top-level comments; each carries its whole reply thread in `replies`.
+        app.get('/comments/:issueId', optionalAuth, async (req, res) => {
             try {
                 const issueId = req.params.issueId;
-                const comments = await commentsCollection
-                    .find({ issueId })
-                    .sort({ time: 1 })
+
+                const filter = { issueId, isHidden: { $ne: true } };
+                if (!canSeeInternal(req.user)) filter.visibility = { $ne: "internal" };
+
+                const projection = { editHistory: 0 };
+
+                const result = await findPage(commentsCollection, { ...filter, rootId: null }, { time: 1, _id: 1 }, req.query, projection);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                const rootIds = result.items.map(comment => comment._id.toString());
+                const replies = await commentsCollection
+                    .find({ ...filter, rootId: { $in: rootIds } }, { projection })
+                    .sort({ time: 1, _id: 1 })
                     .toArray();
 
-                res.send(comments);
+                result.items = result.items.map(comment => ({
+                    ...comment,
+                    replies: replies.filter(reply => reply.rootId === comment._id.toString())
+                }));
+
+                res.send(result);
             } catch (err) {
                 res.status(500).send({ error: err.message });
             }
         });
 
-        // POST new comment (private + blocked check)
-        app.post('/comments', verifyToken, checkBlocked, async (req, res) => {
+        // POST new comment or reply (private + blocked check). visibility "internal" is staff/admin only.
+        app.post('/comments', verifyToken, checkBlocked("commenting"), validate(schemas.commentCreate, { readOnly: COMMENT_READ_ONLY }), async (req, res) => {
             try {
-                const { issueId, text } = req.body;
-                if (!issueId || !text) {
-                    return res.status(400).send({ message: "issueId and text required" });
+                const { issueId, text, parentId = null } = req.body;
+                let visibility = req.body.visibility || "public";
+
+                const issue = await issuesCollection.findOne({ _id: new ObjectId(issueId) });
+                if (!issue) return res.status(404).send({ message: "Issue not found" });
+
+                if (visibility === "internal" && !canSeeInternal(req.user)) {
+                    return res.status(403).send({ message: "Only staff and admins can post internal notes" });
+                }
+
+                let rootId = null;
+
+                if (parentId) {
+                    const parent = await commentsCollection.findOne({ _id: new ObjectId(parentId), issueId });
+                    if (!parent || !canReadComment(req.user, parent)) {
+                        return res.status(404).send({ message: "Parent comment not found" });
+                    }
+
+                    // replies to an internal note stay internal
+                    if (parent.visibility === "internal") visibility = "internal";
+                    rootId = parent.rootId || parentId;
                 }
 
                 const newComment = {
                     issueId,
+                    parentId,
+                    rootId,
                     text,
                     userEmail: req.user.email,
+                    visibility,
+                    mentions: await findMentionedStaff(text),
+                    isHidden: false,
                     time: new Date()
                 };
 
                 const result = await commentsCollection.insertOne(newComment);
+                // a comment the keyword filter just hid is not streamed to anyone
+                const screening = await screenContent("comment", result.insertedId, issueId, text);
+                if (!screening.hidden) {
+                    await publishIssueEvent(issueId, "comment", { ...newComment, _id: result.insertedId });
+                }
 
-                // add to timeline
-                await req.timelineCollection.insertOne({
+                // the timeline says that someone commented; the text itself stays with the comment
+                await recordTimeline({
                     issueId,
                     status: "comment",
-                    message: `Comment added: ${text}`,
+                    event: "comment-added",
+                    commentId: result.insertedId.toString(),
+                    internal: visibility === "internal",
+                    message: visibility === "internal" ? "Internal note added" : parentId ? "Reply added" : "Comment added",
                     updatedBy: req.user.email,
                     time: new Date()
                 });
 
+                await notifyMentions(newComment.mentions, { issue, commentId: result.insertedId, actorEmail: req.user.email });
+
                 res.send(result);
             } catch (err) {
                 res.status(500).send({ error: err.message });
             }
         });
 
-        // DELETE comment (admin or the comment owner)
-        app.delete('/comments/:id', verifyToken, async (req, res) => {
+        // EDIT own comment; the previous text goes to its edit history
+        app.patch('/comments/:id', verifyToken, checkBlocked("commenting"), validate(schemas.commentEdit), async (req, res) => {
+            try {
+                const id = req.params.id;
+                const { text } = req.body;
+
+                if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid comment ID" });
+
+                const comment = await commentsCollection.findOne({ _id: new ObjectId(id) });
+                if (!comment || comment.isDeleted) return res.status(404).send({ message: "Comment not found" });
+
+                if (comment.userEmail !== req.user.email) {
+                    return res.status(403).send({ message: "Only the author can edit a comment" });
+                }
+
+                if (text === comment.text) return res.send({ success: true, modifiedCount: 0 });
+
+                const mentions = await findMentionedStaff(text);
+                const editedAt = new Date();
+
+                const result = await commentsCollection.updateOne(
+                    { _id: comment._id },
+                    {
+                        $set: { text, mentions, editedAt },
+                        $push: { editHistory: { text: comment.text, writtenAt: comment.editedAt || comment.time } }
+                    }
+                );
+
+                // hidden comments (by a moderator or the keyword filter) don't stream their text
+                const screening = await screenContent("comment", id, comment.issueId, text);
+                if (!comment.isHidden && !screening.hidden) {
+                    await publishIssueEvent(comment.issueId, "comment-edited", { commentId: id, text, editedAt, visibility: comment.visibility });
+                }
+
+                await recordTimeline({
+                    issueId: comment.issueId,
+                    status: "comment",
+                    event: "comment-edited",
+                    commentId: id,
+                    internal: comment.visibility === "internal",
+                    message: "Comment edited",
+                    updatedBy: req.user.email,
+                    time: editedAt
+                });
+
+                // only people who weren't mentioned before hear about it
+                const issue = await issuesCollection.findOne({ _id: new ObjectId(comment.issueId) }, { projection: { title: 1 } });
+                if (issue) {
+                    const added = mentions.filter(email => !(comment.mentions || []).includes(email));
+                    await notifyMentions(added, { issue, commentId: id, actorEmail: req.user.email });
+                }
+
+                res.send({ success: true, modifiedCount: result.modifiedCount });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // GET a comment's edit history (anyone who can read the comment)
+        app.get('/comments/:id/history', optionalAuth, async (req, res) => {
+            try {
+                if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid comment ID" });
+
+                const comment = await commentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+                if (!comment || comment.isDeleted || !canReadComment(req.user, comment)) {
+                    return res.status(404).send({ message: "Comment not found" });
+                }
+
+                res.send({
+                    current: { text: comment.text, writtenAt: comment.editedAt || comment.time },
+                    edits: comment.editHistory || []
+                });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        // DELETE comment (admin or the comment owner). A comment with replies is blanked
+        // instead, so its thread stays readable.
+        app.delete('/comments/:id', verifyToken, checkBlocked(), async (req, res) => {
             try {
                 const id = req.params.id;
 
                 const comment = await commentsCollection.findOne({ _id: new ObjectId(id) });
-                if (!comment) return res.status(404).send({ message: "Comment not found" });
+                if (!comment || comment.isDeleted) return res.status(404).send({ message: "Comment not found" });
 
                 const user = await req.usersCollection.findOne({ email: req.user.email });
 
@@ -903,12 +6007,37 @@ async function run() {
                     return res.status(403).send({ message: "Not allowed" });
                 }
 
-                const result = await commentsCollection.deleteOne({ _id: new ObjectId(id) });
+                const hasReplies = await commentsCollection.countDocuments({ parentId: id }, { limit: 1 });
+
+                const result = hasReplies
+                    ? await commentsCollection.updateOne(
+                        { _id: comment._id },
+                        {
+                            $set: { isDeleted: true, text: "", mentions: [], deletedBy: req.user.email, deletedAt: new Date() },
+                            $unset: { editHistory: "" }
+                        }
+                    )
+                    : await commentsCollection.deleteOne({ _id: comment._id });
+
+                const attachments = await attachmentsCollection.find({ commentId: id }).toArray();
+                for (const attachment of attachments) {
+                    await removeAttachmentFiles(attachment);
+                }
+                await attachmentsCollection.deleteMany({ commentId: id });
+
+                await publishIssueEvent(comment.issueId, "comment-deleted", { commentId: id, visibility: comment.visibility });
+
+                if (comment.userEmail !== req.user.email) {
+                    await recordAudit(req, { action: "comment.delete", targetType: "comment", targetId: id, before: comment });
+                }
 
                 // timeline log (optional)
-                await req.timelineCollection.insertOne({
+                await recordTimeline({
                     issueId: comment.issueId,
                     status: "comment-delete",
+                    event: "comment-deleted",
+                    commentId: id,
+                    internal: comment.visibility === "internal",
                     message: `Comment deleted`,
                     updatedBy: req.user.email,
                     time: new Date()
@@ -921,11 +6050,16 @@ async function run() {
         });
 
 
-        // TIMELINE retrieval (public)
-        app.get('/timeline/:issueId', async (req, res) => {
+        // TIMELINE retrieval (public; internal rows for staff and admins only)
+        app.get('/timeline/:issueId', optionalAuth, async (req, res) => {
             try {
-                const data = await timelineCollection.find({ issueId: req.params.issueId }).sort({ time: -1 }).toArray();
-                res.send(data);
+                const filter = { issueId: req.params.issueId };
+                if (!canSeeInternal(req.user)) filter.internal = { $ne: true };
+
+                const result = await findPage(timelineCollection, filter, { time: -1, _id: -1 }, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
+
+                res.send(result);
             } catch (err) {
                 res.status(500).send({ error: err.message });
             }
@@ -957,15 +6091,26 @@ async function run() {
                     return res.status(403).send({ message: "Forbidden" });
                 }
 
-                const items = await req.issuesCollection.find({
+                const sortSpec = ISSUE_SORTS[req.query.sort || "newest"];
+                if (!sortSpec) return res.status(400).send({ message: "Invalid sort" });
+
+                const filter = {
                     assignedStaff: email,
                     isHidden: false,
                     status: { $ne: "closed" }
-                })
-                    .sort({ reportedAt: -1 })
-                    .toArray();
+                };
+
+                if (req.query.overdue === "true") {
+                    filter.dueAt = { $lt: new Date() };
+                    filter.status = { $nin: CLOSED_STATUSES };
+                }
+
+                const result = await findPage(req.issuesCollection, filter, sortSpec, req.query);
+                if (result.error) return res.status(400).send({ message: result.error });
 
-                res.send({ items });
+                result.items = withOverdueFlag(result.items);
+
+                res.send(result);
 
             } catch (err) {
                 res.status(500).send({ error: err.message });
@@ -1076,7 +6221,10 @@ async function run() {
         app.get('/dashboard/admin/stats', verifyToken, requireRole("admin"), async (req, res) => {
             try {
                 const totalUsers = await usersCollection.countDocuments();
-                const premiumUsers = await usersCollection.countDocuments({ premium: true });
+                const premiumUsers = await subscriptionsCollection.countDocuments({
+                    status: "active",
+                    $or: [{ plan: "lifetime" }, { currentPeriodEnd: { $gt: new Date() } }]
+                });
                 const totalStaff = await usersCollection.countDocuments({ role: "staff" });
                 const totalCitizens = await usersCollection.countDocuments({ role: "citizen" });
 
@@ -1089,12 +6237,15 @@ async function run() {
                 const highPriority = await issuesCollection.countDocuments({ priority: "high" });
                 const normalPriority = await issuesCollection.countDocuments({ $or: [{ priority: "normal" }, { priority: { $exists: false } }] });
 
-                const boosted = await paymentsCollection.countDocuments();
-                const revenueAgg = await paymentsCollection.aggregate([{ $group: { _id: null, total: { $sum: "$amount" } } }]).toArray();
+                const boosted = await paymentsCollection.countDocuments({ purpose: "issue_boost", status: "succeeded" });
+                const revenueAgg = await paymentsCollection.aggregate([
+                    { $match: { status: "succeeded" } },
+                    { $group: { _id: null, total: { $sum: "$amount" } } }
+                ]).toArray();
                 const totalRevenue = revenueAgg[0]?.total || 0;
 
                 const staffPerformance = await timelineCollection.aggregate([
-                    { $match: { status: "resolved" } },
+                    { $match: RESOLVED_TRANSITION },
                     {
                         $group: {
                             _id: "$updatedBy",
@@ -1105,6 +6256,36 @@ async function run() {
                     { $limit: 10 }
                 ]).toArray();
 
+                // reporter satisfaction and reopen rates for the same staff
+                const staffEmails = staffPerformance.map(s => s._id);
+                const staffRatings = await ratingsCollection.aggregate([
+                    { $match: { staffEmail: { $in: staffEmails } } },
+                    { $group: { _id: "$staffEmail", averageRating: { $avg: "$rating" }, ratingCount: { $sum: 1 } } }
+                ]).toArray();
+                const staffReopens = await timelineCollection.aggregate([
+                    { $match: { reopenedByReporter: true, staffEmail: { $in: staffEmails } } },
+                    { $group: { _id: "$staffEmail", reopenedCount: { $sum: 1 } } }
+                ]).toArray();
+
+                for (const staff of staffPerformance) {
+                    const ratings = staffRatings.find(r => r._id === staff._id);
+                    staff.averageRating = ratings ? Math.round(ratings.averageRating * 100) / 100 : null;
+                    staff.ratingCount = ratings?.ratingCount || 0;
+                    staff.reopenedCount = staffReopens.find(r => r._id === staff._id)?.reopenedCount || 0;
+                }
+
+                const ratingAgg = await ratingsCollection.aggregate([
+                    { $group: { _id: "$rating", count: { $sum: 1 } } }
+                ]).toArray();
+                const ratingCount = ratingAgg.reduce((sum, r) => sum + r.count, 0);
+                const satisfaction = {
+                    ratingCount,
+                    averageRating: ratingCount
+                        ? Math.round(ratingAgg.reduce((sum, r) => sum + r._id * r.count, 0) / ratingCount * 100) / 100
+                        : null,
+                    distribution: Object.fromEntries([1, 2, 3, 4, 5].map(n => [n, ratingAgg.find(r => r._id === n)?.count || 0]))
+                };
+
 
                 const activeCitizens = await issuesCollection.aggregate([
                     { $group: { _id: "$reporterEmail", count: { $sum: 1 } } },
@@ -1112,32 +6293,129 @@ async function run() {
                     { $limit: 10 }
                 ]).toArray();
 
-                const latestResolved = await issuesCollection.find({ status: "resolved" }).sort({ priority: -1, reportedAt: -1 }).limit(6).toArray();
+                const latestResolved = await issuesCollection.find({ status: "resolved" }).sort({ priorityRank: -1, reportedAt: -1 }).limit(6).toArray();
 
                 res.send({
                     users: { totalUsers, totalCitizens, totalStaff, totalPremium: premiumUsers },
                     issues: { totalIssues, pending, inProgress, resolved, closed, priority: { highPriority, normalPriority } },
                     payments: { totalBoostPayments: boosted, totalRevenue },
-                    staffPerformance, activeCitizens, latestResolved
+                    staffPerformance, satisfaction, activeCitizens, latestResolved
                 });
             } catch (err) {
                 res.status(500).send({ error: err.message });
             }
         });
 
-        app.patch("/issues/priority/:id", verifyToken, requireRole("admin"), async (req, res) => {
+        // -----------------------
+        // ANALYTICS ROUTES
+        // -----------------------
+
+        // GET issue analytics (admin). ?from=&to= (default: last 30 days) &granularity=day|week|month.
+        // Periods are UTC; weeks start on Monday. Durations are in hours, measured from reportedAt to the
+        // first assignment / first move into "resolved", for issues reported in the range.
+        app.get('/analytics/issues', verifyToken, requireRole("admin"), async (req, res) => {
+            try {
+                const { from, to, granularity, periods, error } = parseAnalyticsQuery(req.query);
+                if (error) return res.status(400).send({ message: error });
+
+                const bucket = date => ({ $dateTrunc: { date, unit: granularity, startOfWeek: "monday" } });
+
+                const [facets] = await issuesCollection.aggregate([
+                    { $match: { reportedAt: { $gte: from, $lte: to } } },
+                    {
+                        $lookup: {
+                            from: "timeline",
+                            let: { issueId: { $toString: "$_id" } },
+                            pipeline: [
+                                { $match: { $expr: { $eq: ["$issueId", "$$issueId"] } } },
+                                { $match: { $or: [{ event: "assigned" }, RESOLVED_TRANSITION] } },
+                                {
+                                    $group: {
+                                        _id: null,
+                                        assignedAt: { $min: { $cond: [{ $eq: ["$event", "assigned"] }, "$time", null] } },
+                                        resolvedAt: { $min: { $cond: [{ $eq: ["$status", "resolved"] }, "$time", null] } }
+                                    }
+                                }
+                            ],
+                            as: "milestones"
+                        }
+                    },
+                    { $set: { milestone: { $first: "$milestones" } } },
+                    {
+                        $set: {
+                            // issues assigned before assignments were recorded on the timeline still carry assignedAt
+                            assignMs: { $subtract: [{ $ifNull: ["$milestone.assignedAt", "$assignedAt"] }, "$reportedAt"] },
+                            resolveMs: { $subtract: ["$milestone.resolvedAt", "$reportedAt"] }
+                        }
+                    },
+                    {
+                        $facet: {
+                            created: [{ $group: { _id: bucket("$reportedAt"), count: { $sum: 1 } } }],
+                            timeToAssign: durationStages("assignMs"),
+                            timeToResolve: durationStages("resolveMs"),
+                            byCategory: breakdownStages("$category", "uncategorized"),
+                            byPriority: breakdownStages("$priority", "normal"),
+                            byStaff: breakdownStages("$assignedStaff", "unassigned"),
+                            byArea: breakdownStages("$area", "unknown")
+                        }
+                    }
+                ]).toArray();
+
+                // resolutions are counted when they happen, whenever the issue was reported
+                const resolved = await timelineCollection.aggregate([
+                    { $match: { ...RESOLVED_TRANSITION, time: { $gte: from, $lte: to } } },
+                    { $group: { _id: bucket("$time"), count: { $sum: 1 } } }
+                ]).toArray();
+
+                const countsByPeriod = rows => new Map(rows.map(row => [new Date(row._id).getTime(), row.count]));
+                const createdCounts = countsByPeriod(facets.created);
+                const resolvedCounts = countsByPeriod(resolved);
+
+                const duration = ([stats]) => ({
+                    count: stats?.count || 0,
+                    meanHours: toHours(stats?.mean),
+                    medianHours: toHours(stats?.median)
+                });
+                const breakdown = rows => rows.map(({ _id, resolveMs, ...counts }) => ({
+                    key: _id,
+                    ...counts,
+                    meanResolveHours: toHours(resolveMs)
+                }));
+
+                res.send({
+                    range: { from, to, granularity },
+                    series: periods.map(period => ({
+                        period,
+                        created: createdCounts.get(period.getTime()) || 0,
+                        resolved: resolvedCounts.get(period.getTime()) || 0
+                    })),
+                    timeToAssign: duration(facets.timeToAssign),
+                    timeToResolve: duration(facets.timeToResolve),
+                    breakdowns: {
+                        category: breakdown(facets.byCategory),
+                        priority: breakdown(facets.byPriority),
+                        staff: breakdown(facets.byStaff),
+                        area: breakdown(facets.byArea)
+                    }
+                });
+            } catch (err) {
+                res.status(500).send({ error: err.message });
+            }
+        });
+
+        app.patch("/issues/priority/:id", verifyToken, requireRole("admin"), validate(schemas.issuePriority), async (req, res) => {
             try {
                 const { id } = req.params;
                 const { priority } = req.body;
 
-                if (!["low", "normal", "high"].includes(priority)) {
-                    return res.status(400).send({ message: "Invalid priority" });
-                }
+                const before = ObjectId.isValid(id)
+                    ? await req.issuesCollection.findOne({ _id: new ObjectId(id) }, { projection: { priority: 1 } })
+                    : null;
 
                 // 1️⃣ Update issue priority
                 const result = await req.issuesCollection.updateOne(
                     { _id: new ObjectId(id) },
-                    { $set: { priority } }
+                    { $set: { ...priorityFields(priority), updatedAt: new Date() } }
                 );
 
                 if (result.modifiedCount === 0) {
@@ -1145,14 +6423,19 @@ async function run() {
                 }
 
                 // 2️⃣ Add timeline entry (SEPARATE operation)
-                await req.timelineCollection.insertOne({
+                await recordTimeline({
                     issueId: id,
                     status: "priority-updated",
+                    event: "priority-updated",
                     message: `Priority set to ${priority}`,
                     updatedBy: req.user.email,
                     time: new Date()
                 });
 
+                await recordAudit(req, { action: "issue.priority", targetType: "issue", targetId: id, before: pick(before, ["priority"]), after: { priority } });
+
+                await applySla(id);
+
                 res.send({ success: true, result });
 
             } catch (err) {
@@ -1161,6 +6444,264 @@ async function run() {
         });
 
 
+        // -----------------------
+        // DATABASE PREPARATION
+        // -----------------------
+
+        // Bring older payment rows onto the ledger shape (no-op once migrated)
+        async function migrateLegacyPayments() {
+            await paymentsCollection.updateMany({ type: "premium", subscriptionId: { $exists: true } }, [
+                {
+                    $set: {
+                        stripeInvoiceId: "$transactionId",
+                        stripeSubscriptionId: "$subscriptionId"
+                    }
+                },
+                { $unset: ["transactionId", "subscriptionId"] }
+            ]);
+
+            await paymentsCollection.updateMany({ type: "premium" }, [
+                {
+                    $set: {
+                        provider: "stripe",
+                        purpose: "premium",
+                        userEmail: "$email",
+                        currency: "usd",
+                        stripePaymentIntentId: { $ifNull: ["$transactionId", null] },
+                        status: { $ifNull: ["$status", "succeeded"] },
+                        createdAt: "$date"
+                    }
+                },
+                { $unset: ["type", "email", "transactionId", "date"] }
+            ]);
+
+            await paymentsCollection.updateMany({ purpose: "issue_boost", paymentId: { $exists: true } }, [
+                {
+                    $set: {
+                        provider: "stripe",
+                        currency: "usd",
+                        stripePaymentIntentId: "$paymentId",
+                        status: { $ifNull: ["$status", "succeeded"] },
+                        boostApplied: true,
+                        createdAt: "$date"
+                    }
+                },
+                { $unset: ["paymentId", "date"] }
+            ]);
+        }
+
+        // Issues need priorityRank/updatedAt for sorting and cursor pagination
+        async function migrateIssueSortFields() {
+            await issuesCollection.updateMany({ priorityRank: { $exists: false } }, [
+                {
+                    $set: {
+                        priorityRank: {
+                            $switch: {
+                                branches: Object.entries(PRIORITY_RANK).map(([priority, rank]) => ({
+                                    case: { $eq: ["$priority", priority] },
+                                    then: rank
+                                })),
+                                default: PRIORITY_RANK.normal
+                            }
+                        }
+                    }
+                }
+            ]);
+
+            await issuesCollection.updateMany({ updatedAt: { $exists: false } }, [
+                { $set: { updatedAt: { $ifNull: ["$reportedAt", "$$NOW"] } } }
+            ]);
+
+            await issuesCollection.updateMany({ upvotes: { $exists: false } }, { $set: { upvotes: 0 } });
+        }
+
+        // Give open issues created before SLAs existed their due dates
+        async function backfillSlaDates() {
+            const unscheduled = issuesCollection.find(
+                { dueAt: { $exists: false }, status: { $nin: CLOSED_STATUSES } },
+                { projection: { _id: 1 } }
+            );
+
+            for await (const issue of unscheduled) {
+                await applySla(issue._id);
+            }
+        }
+
+        // Users blocked before suspensions existed get a full, open-ended suspension record;
+        // scoped suspensions stop counting as blocked
+        async function migrateLegacyBlocks() {
+            await usersCollection.updateMany(
+                { isBlocked: true, "suspension.scope": { $in: ["posting", "commenting"] } },
+                { $set: { isBlocked: false } }
+            );
+
+            const legacy = await usersCollection.find({ isBlocked: true, suspension: { $exists: false } }, { projection: { _id: 1 } }).toArray();
+
+            for (const user of legacy) {
+                await usersCollection.updateOne(
+                    { _id: user._id, suspension: { $exists: false } },
+                    {
+                        $set: {
+                            suspension: {
+                                id: new ObjectId(),
+                                scope: "full",
+                                reason: "",
+                                expiresAt: null,
+                                suspendedBy: "system",
+                                suspendedAt: new Date()
+                            }
+                        }
+                    }
+                );
+            }
+        }
+
+        // Premium used to be a one-off purchase flagged on the user (users.premium);
+        // those users keep it as a lifetime membership
+        async function migrateLegacyPremium() {
+            const legacy = await usersCollection.find({ premium: true }, { projection: { email: 1 } }).toArray();
+
+            for (const user of legacy) {
+                await subscriptionsCollection.updateOne(
+                    { email: user.email },
+                    {
+                        $set: { plan: "lifetime", status: "active", currentPeriodEnd: null, cancelAtPeriodEnd: false, updatedAt: new Date() },
+                        $setOnInsert: { email: user.email, grandfathered: true, createdAt: new Date() }
+                    },
+                    { upsert: true }
+                );
+
+                await usersCollection.updateOne({ _id: user._id }, { $unset: { premium: "" } });
+            }
+        }
+
+        // Comment text used to be copied into the timeline, where it outlived deleted comments
+        async function migrateCommentTimeline() {
+            await timelineCollection.updateMany(
+                { message: { $regex: "^Comment added: " } },
+                { $set: { message: "Comment added", event: "comment-added" } }
+            );
+        }
+
+        // Workflows saved before reporter confirmation existed close resolved issues without
+        // asking the reporter; give their resolved → closed step the same requirement as the
+        // built-in one. Workflows saved since are left exactly as the admin defined them.
+        async function migrateWorkflowConfirmation() {
+            await workflowsCollection.updateMany(
+                { version: { $exists: false } },
+                {
+                    $addToSet: { "transitions.$[step].requires": "confirmation" },
+                    $set: { version: WORKFLOW_VERSION }
+                },
+                { arrayFilters: [{ "step.from": "resolved", "step.to": "closed" }] }
+            );
+        }
+
+        async function migrateAndIndex() {
+            await migrateLegacyPayments();
+            await migrateLegacyPremium();
+            await migrateIssueSortFields();
+            await backfillSlaDates();
+            await migrateLegacyBlocks();
+            await migrateCommentTimeline();
+            await migrateWorkflowConfirmation();
+
+            await paymentsCollection.createIndex({ stripePaymentIntentId: 1 });
+            await paymentsCollection.createIndex({ stripeInvoiceId: 1 });
+            await paymentsCollection.createIndex({ userEmail: 1, createdAt: -1 });
+            await paymentsCollection.createIndex({ createdAt: -1, _id: -1 });
+
+            await issuesCollection.createIndex({ geo: "2dsphere" });
+            await issuesCollection.createIndex({ priorityRank: -1, reportedAt: -1, _id: -1 });
+            await issuesCollection.createIndex({ updatedAt: -1, _id: -1 });
+            await commentsCollection.createIndex({ issueId: 1, time: 1 });
+            await commentsCollection.createIndex({ issueId: 1, rootId: 1, time: 1 });
+            await commentsCollection.createIndex({ parentId: 1 });
+            await votesCollection.createIndex({ issueId: 1, time: -1, _id: -1 });
+            await votesCollection.createIndex({ time: -1, freshAccount: 1 });
+            await streamEventsCollection.createIndex({ seq: 1 }, { unique: true });
+            await streamEventsCollection.createIndex({ time: 1 }, { expireAfterSeconds: STREAM_RETENTION_HOURS * 60 * 60 });
+            await ticketsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+            await ratingsCollection.createIndex({ issueId: 1 }, { unique: true });
+            await ratingsCollection.createIndex({ staffEmail: 1 });
+            await workflowsCollection.createIndex({ category: 1 }, { unique: true });
+            await slaPoliciesCollection.createIndex({ category: 1, priority: 1 }, { unique: true });
+            await issuesCollection.createIndex({ status: 1, dueAt: 1 });
+            await issuesCollection.createIndex({ slaStale: 1 }, { sparse: true });
+            await issuesCollection.createIndex({ assignedStaff: 1, status: 1 });
+            await departmentsCollection.createIndex({ name: 1 }, { unique: true });
+            await departmentsCollection.createIndex({ categories: 1 });
+            await notificationsCollection.createIndex({ userEmail: 1, read: 1, createdAt: -1 });
+            await emailQueueCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+            await emailDigestCollection.createIndex({ userEmail: 1, time: 1 });
+            await webhooksCollection.createIndex({ active: 1, events: 1 });
+            await webhookDeliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+            await webhookDeliveriesCollection.createIndex({ webhookId: 1, createdAt: -1 });
+            await auditCollection.createIndex({ time: -1 });
+            await appealsCollection.createIndex({ userEmail: 1, suspensionId: 1 }, { unique: true });
+            await appealsCollection.createIndex({ status: 1, createdAt: 1 });
+            await flagsCollection.createIndex(
+                { targetType: 1, targetId: 1, flaggedBy: 1 },
+                { unique: true, partialFilterExpression: { status: "open" } }
+            );
+            await flagsCollection.createIndex({ status: 1, createdAt: 1 });
+            await attachmentsCollection.createIndex({ issueId: 1, createdAt: 1 });
+            await usersCollection.createIndex({ "suspension.expiresAt": 1 }, { sparse: true });
+            await auditCollection.createIndex({ action: 1, time: -1 });
+            await auditCollection.createIndex({ "actor.email": 1, time: -1 });
+            await auditCollection.createIndex({ "target.type": 1, "target.id": 1, time: -1 });
+            await timelineCollection.createIndex({ issueId: 1, time: -1 });
+            await timelineCollection.createIndex({ status: 1, time: 1 });
+            await issuesCollection.createIndex({ reportedAt: 1 });
+            await issuesCollection.createIndex(
+                { title: "text", description: "text", location: "text" },
+                {
+                    name: "issue_text_search",
+                    weights: { title: 10, description: 4, location: 2 },
+                    default_language: "english"
+                }
+            );
+        }
+
+        // Migrations and index builds, one run at a time across instances (a run that
+        // died holding the lock is taken over after PREPARE_LOCK_TIMEOUT)
+        async function prepareDatabase() {
+            const startedAt = new Date();
+
+            await settingsCollection.updateOne({ _id: "database" }, { $setOnInsert: { preparingSince: null } }, { upsert: true });
+            const lock = await settingsCollection.findOneAndUpdate(
+                {
+                    _id: "database",
+                    $or: [
+                        { preparingSince: null },
+                        { preparingSince: { $lt: new Date(startedAt.getTime() - PREPARE_LOCK_TIMEOUT) } }
+                    ]
+                },
+                { $set: { preparingSince: startedAt } }
+            );
+            if (!lock) return { skipped: true };
+
+            try {
+                await migrateAndIndex();
+            } finally {
+                await settingsCollection.updateOne(
+                    { _id: "database", preparingSince: startedAt },
+                    { $set: { preparingSince: null, preparedAt: new Date() } }
+                );
+            }
+
+            return { prepared: true };
+        }
+
+        registerJob("prepare-database", 24 * 60, prepareDatabase);
+
+        // A long-running server prepares in the background so routes are available at once;
+        // index-backed searches wait for it. On Vercel that would repeat on every cold start,
+        // so there it only runs as the prepare-database job.
+        if (!process.env.VERCEL) {
+            databaseReady = prepareDatabase().catch(err => console.error("Database preparation failed:", err));
+        }
+
         console.log('Connected to MongoDB and routes are set.');
     } finally {
 
@@ -0,0 +1,138 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+// -----------------------
+// TRANSPORTS
+// -----------------------
+
+// Every transport exposes send({ to, subject, text, html }). MAIL_TRANSPORT picks one:
+// "smtp" (default), "file" (writes each message as JSON into MAIL_DIR) or
+// "memory" (keeps messages in transport.outbox; for local testing).
+const transports = {
+    smtp() {
+        const port = Number(process.env.SMTP_PORT) || 587;
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+
+        return {
+            name: "smtp",
+            send: message => transporter.sendMail({ from: process.env.MAIL_FROM, ...message })
+        };
+    },
+
+    file() {
+        const dir = process.env.MAIL_DIR || path.join(__dirname, "mail-outbox");
+
+        return {
+            name: "file",
+            async send(message) {
+                await fs.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`);
+                await fs.writeFile(file, JSON.stringify({ from: process.env.MAIL_FROM, ...message, date: new Date() }, null, 2));
+                return { file };
+            }
+        };
+    },
+
+    memory() {
+        const outbox = [];
+
+        return {
+            name: "memory",
+            outbox,
+            async send(message) {
+                outbox.push({ ...message, date: new Date() });
+                return { index: outbox.length - 1 };
+            }
+        };
+    }
+};
+
+function createTransport(kind = process.env.MAIL_TRANSPORT || "smtp") {
+    if (!transports[kind]) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (expected ${Object.keys(transports).join(", ")})`);
+    }
+    return transports[kind]();
+}
+
+// -----------------------
+// TEMPLATES
+// -----------------------
+
+function escapeHtml(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+const SUBJECTS = {
+    "assigned": data => `Issue assigned: ${data.issueTitle}`,
+    "status-changed": data => `Status update: ${data.issueTitle}`,
+    "comment-added": data => `New comment on: ${data.issueTitle}`,
+    "appeal": () => "Your suspension appeal has been decided"
+};
+
+// data.unsubscribeUrl may be null when links aren't configured; the footer then omits it
+function layout(bodyHtml, bodyText, data) {
+    const reason = "You receive this because of your NovaPress notification settings.";
+    const footerText = data.unsubscribeUrl ? `${reason}\nUnsubscribe: ${data.unsubscribeUrl}` : reason;
+    const footerHtml = data.unsubscribeUrl ? `${reason} <a href="${escapeHtml(data.unsubscribeUrl)}">Unsubscribe</a>` : reason;
+
+    return {
+        text: `${bodyText}\n\n--\n${footerText}\n`,
+        html: `<div style="font-family:sans-serif;max-width:600px">${bodyHtml}`
+            + `<hr><p style="color:#888;font-size:12px">${footerHtml}</p></div>`
+    };
+}
+
+/**
+ * Render one timeline event as an email.
+ * data: { issueTitle, message, actor, issueUrl, unsubscribeUrl }
+ * issueUrl is null for account events (appeals), which have no issue to link to.
+ */
+function renderEvent(type, data) {
+    const subject = (SUBJECTS[type] || (d => `Update on: ${d.issueTitle}`))(data);
+    const by = data.actor ? ` by ${data.actor}` : "";
+
+    return {
+        subject,
+        ...layout(
+            `<h2>${escapeHtml(data.issueTitle)}</h2><p>${escapeHtml(data.message)}${escapeHtml(by)}</p>`
+                + (data.issueUrl ? `<p><a href="${escapeHtml(data.issueUrl)}">View the issue</a></p>` : ""),
+            `${data.issueTitle}\n\n${data.message}${by}` + (data.issueUrl ? `\n\nView the issue: ${data.issueUrl}` : ""),
+            data
+        )
+    };
+}
+
+/**
+ * Render a day's worth of events as one digest email.
+ * items: [{ issueTitle, message, issueUrl, time }]
+ */
+function renderDigest(items, data) {
+    const subject = `Your NovaPress daily digest (${items.length} update${items.length === 1 ? "" : "s"})`;
+
+    const html = items
+        .map(item => {
+            const title = item.issueUrl ? `<a href="${escapeHtml(item.issueUrl)}">${escapeHtml(item.issueTitle)}</a>` : escapeHtml(item.issueTitle);
+            return `<li>${title}: ${escapeHtml(item.message)}</li>`;
+        })
+        .join("");
+    const text = items.map(item => `- ${item.issueTitle}: ${item.message}` + (item.issueUrl ? `\n  ${item.issueUrl}` : "")).join("\n");
+
+    return {
+        subject,
+        ...layout(`<h2>Updates on your issues</h2><ul>${html}</ul>`, `Updates on your issues\n\n${text}`, data)
+    };
+}
+
+module.exports = { createTransport, renderEvent, renderDigest };
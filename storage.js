@@ -0,0 +1,58 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+
+// -----------------------
+// BACKENDS
+// -----------------------
+
+// Every backend exposes put(key, buffer, contentType), get(key) -> readable stream
+// (or null when missing) and remove(key). Keys look like "attachments/2026/10/<id>.jpg".
+// STORAGE_BACKEND picks one; "local" (files under UPLOAD_DIR) is the default. Local files
+// need a persistent, writable disk, so it only works when the API runs as a normal server,
+// not on Vercel.
+const backends = {
+    local() {
+        const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "uploads"));
+
+        // keys come from our own code, but never let one escape the upload directory
+        function resolve(key) {
+            const file = path.resolve(root, key);
+            if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+            return file;
+        }
+
+        return {
+            name: "local",
+
+            async put(key, buffer) {
+                const file = resolve(key);
+                await fsp.mkdir(path.dirname(file), { recursive: true });
+                await fsp.writeFile(file, buffer);
+            },
+
+            async get(key) {
+                const file = resolve(key);
+                try {
+                    await fsp.access(file);
+                } catch {
+                    return null;
+                }
+                return fs.createReadStream(file);
+            },
+
+            async remove(key) {
+                await fsp.rm(resolve(key), { force: true });
+            }
+        };
+    }
+};
+
+function createStorage(kind = process.env.STORAGE_BACKEND || "local") {
+    if (!backends[kind]) {
+        throw new Error(`Unknown STORAGE_BACKEND "${kind}" (expected ${Object.keys(backends).join(", ")})`);
+    }
+    return backends[kind]();
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,390 @@
+const { checkSchema, validationResult, matchedData } = require("express-validator");
+
+// Fields the server owns on an issue; clients may never write them
+const ISSUE_READ_ONLY = [
+    "_id", "status", "priority", "priorityRank", "upvotes", "upvoters", "isBoosted", "isHidden",
+    "reporterEmail", "userEmail", "assignedStaff", "assignedAt", "reportedAt", "updatedAt",
+    "geo", "mergedInto", "mergedAt", "confirmation", "rating"
+];
+
+// Fields the server owns on a comment
+const COMMENT_READ_ONLY = [
+    "_id", "userEmail", "time", "rootId", "mentions", "isHidden", "isDeleted", "editHistory", "editedAt"
+];
+
+// Who may perform a workflow transition, and what a transition may require
+// ("confirmation" = the reporter confirmed the fix, or let the confirmation window lapse)
+const WORKFLOW_ROLES = ["staff", "admin"];
+const WORKFLOW_REQUIREMENTS = ["note", "proof", "confirmation"];
+
+// What a suspension blocks: new issues, comments, or every write
+const SUSPENSION_SCOPES = ["posting", "commenting", "full"];
+
+// Why content can be flagged ("keyword" is reserved for the automatic filter)
+const FLAG_REASONS = ["spam", "abusive", "inappropriate", "misinformation", "duplicate", "other"];
+
+// Timeline events users can be notified about (and switch off)
+const NOTIFICATION_TYPES = ["assigned", "status-changed", "comment-added", "boosted", "priority-updated", "escalated", "mention", "confirmed", "appeal"];
+
+// Timeline events that can also be sent by email
+const EMAIL_TYPES = ["assigned", "status-changed", "comment-added", "appeal"];
+
+// Timeline events partners can subscribe to with a webhook ("*" = all of them)
+const WEBHOOK_EVENTS = ["reported", "assigned", "status-changed", "boosted", "priority-updated", "merged", "escalated", "deleted", "appeal"];
+
+const optionalString = (max, label) => ({
+    optional: true,
+    isString: { errorMessage: `${label} must be a string` },
+    trim: true,
+    isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` }
+});
+
+const requiredString = (min, max, label) => ({
+    exists: { errorMessage: `${label} is required`, options: { values: "falsy" } },
+    isString: { errorMessage: `${label} must be a string` },
+    trim: true,
+    isLength: { options: { min, max }, errorMessage: `${label} must be ${min}-${max} characters` }
+});
+
+const imageUrl = {
+    optional: { options: { values: "falsy" } },
+    isURL: { options: { protocols: ["http", "https"], require_protocol: true }, errorMessage: "image must be an http(s) URL" }
+};
+
+const latitude = {
+    optional: true,
+    isFloat: { options: { min: -90, max: 90 }, errorMessage: "latitude must be between -90 and 90" },
+    toFloat: true
+};
+
+const longitude = {
+    optional: true,
+    isFloat: { options: { min: -180, max: 180 }, errorMessage: "longitude must be between -180 and 180" },
+    toFloat: true
+};
+
+const issueContent = {
+    title: requiredString(3, 150, "title"),
+    description: requiredString(1, 5000, "description"),
+    category: requiredString(1, 50, "category"),
+    location: optionalString(300, "location"),
+    area: optionalString(100, "area"),
+    image: imageUrl,
+    latitude,
+    longitude
+};
+
+// Same rules with every field optional (for PATCH-style updates)
+const optionalAll = schema => Object.fromEntries(
+    Object.entries(schema).map(([field, { exists, ...rules }]) => [field, { ...rules, optional: rules.optional || true }])
+);
+
+const departmentFields = {
+    name: requiredString(2, 80, "name"),
+    leadEmail: { optional: { options: { values: "null" } }, isEmail: { errorMessage: "leadEmail must be an email" } },
+    members: { optional: true, isArray: { errorMessage: "members must be an array" } },
+    "members.*": { isEmail: { errorMessage: "members must be emails" } },
+    categories: { optional: true, isArray: { errorMessage: "categories must be an array" } },
+    "categories.*": { isString: { errorMessage: "categories must be strings" }, trim: true }
+};
+
+const webhookFields = {
+    url: {
+        isURL: { options: { protocols: ["http", "https"], require_protocol: true, require_tld: true }, errorMessage: "url must be an http(s) URL" }
+    },
+    events: {
+        isArray: { options: { min: 1 }, errorMessage: "events must be a non-empty array" },
+        custom: {
+            options: events => events.every(e => e === "*" || WEBHOOK_EVENTS.includes(e)),
+            errorMessage: `events may only contain * or ${WEBHOOK_EVENTS.join(", ")}`
+        }
+    },
+    description: optionalString(300, "description"),
+    active: { optional: true, isBoolean: { options: { strict: true }, errorMessage: "active must be a boolean" } }
+};
+
+const schemas = {
+    userUpsert: {
+        email: { isEmail: { errorMessage: "A valid email is required" } },
+        name: optionalString(100, "name"),
+        image: imageUrl,
+        hasPassword: { optional: true, isBoolean: { options: { strict: true }, errorMessage: "hasPassword must be a boolean" } }
+    },
+
+    profileUpdate: {
+        name: optionalString(100, "name"),
+        image: imageUrl
+    },
+
+    roleUpdate: {
+        role: { isIn: { options: [["citizen", "staff", "admin"]], errorMessage: "role must be citizen, staff or admin" } }
+    },
+
+    blockUpdate: {
+        isBlocked: {
+            isBoolean: { options: { strict: true }, errorMessage: "isBlocked must be a boolean" },
+            custom: {
+                options: (value, { req }) => value !== true || (typeof req.body.reason === "string" && req.body.reason.trim().length > 0),
+                errorMessage: "reason is required when suspending"
+            }
+        },
+        reason: optionalString(500, "reason"),
+        scope: { optional: true, isIn: { options: [SUSPENSION_SCOPES], errorMessage: `scope must be ${SUSPENSION_SCOPES.join(", ")}` } },
+        expiresAt: {
+            optional: { options: { values: "null" } },
+            isISO8601: { errorMessage: "expiresAt must be an ISO 8601 date" },
+            custom: { options: value => new Date(value) > new Date(), errorMessage: "expiresAt must be in the future" }
+        }
+    },
+
+    flagCreate: {
+        reason: { isIn: { options: [FLAG_REASONS], errorMessage: `reason must be one of ${FLAG_REASONS.join(", ")}` } },
+        note: optionalString(500, "note")
+    },
+
+    moderationAction: {
+        note: optionalString(500, "note"),
+        reason: optionalString(500, "reason"),
+        scope: { optional: true, isIn: { options: [SUSPENSION_SCOPES], errorMessage: `scope must be ${SUSPENSION_SCOPES.join(", ")}` } },
+        expiresAt: {
+            optional: { options: { values: "null" } },
+            isISO8601: { errorMessage: "expiresAt must be an ISO 8601 date" },
+            custom: { options: value => new Date(value) > new Date(), errorMessage: "expiresAt must be in the future" }
+        }
+    },
+
+    moderationSettings: {
+        enabled: { isBoolean: { options: { strict: true }, errorMessage: "enabled must be a boolean" } },
+        keywords: { optional: true, isArray: { options: { max: 500 }, errorMessage: "keywords must be an array of at most 500 words" } },
+        "keywords.*": {
+            isString: { errorMessage: "keywords must be strings" },
+            trim: true,
+            isLength: { options: { min: 2, max: 50 }, errorMessage: "keywords must be 2-50 characters" }
+        },
+        autoHide: { optional: true, isBoolean: { options: { strict: true }, errorMessage: "autoHide must be a boolean" } }
+    },
+
+    appealCreate: {
+        message: requiredString(10, 2000, "message")
+    },
+
+    appealDecision: {
+        decision: { isIn: { options: [["approve", "deny"]], errorMessage: "decision must be approve or deny" } },
+        note: optionalString(1000, "note")
+    },
+
+    issueCreate: {
+        ...issueContent,
+        force: { optional: true, isBoolean: { options: { strict: true }, errorMessage: "force must be a boolean" } }
+    },
+
+    issueEdit: optionalAll(issueContent),
+
+    issueAssign: {
+        staffEmail: { isEmail: { errorMessage: "staffEmail must be an email" } },
+        note: optionalString(1000, "note")
+    },
+
+    issueStatus: {
+        status: requiredString(1, 40, "status"),
+        note: optionalString(1000, "note"),
+        proofIds: { optional: true, isArray: { options: { max: 10 }, errorMessage: "proofIds must be an array of at most 10 IDs" } },
+        "proofIds.*": { isMongoId: { errorMessage: "proofIds must contain attachment IDs" } }
+    },
+
+    issueConfirm: {
+        rating: { optional: true, isInt: { options: { min: 1, max: 5 }, errorMessage: "rating must be a whole number from 1 to 5" }, toInt: true },
+        comment: optionalString(1000, "comment")
+    },
+
+    issueReopen: {
+        reason: requiredString(3, 1000, "reason")
+    },
+
+    issueRating: {
+        rating: { isInt: { options: { min: 1, max: 5 }, errorMessage: "rating must be a whole number from 1 to 5" }, toInt: true },
+        comment: optionalString(1000, "comment")
+    },
+
+    attachmentUpload: {
+        commentId: { optional: { options: { values: "falsy" } }, isMongoId: { errorMessage: "commentId must be a comment ID" } },
+        purpose: { optional: true, isIn: { options: [["attachment", "proof"]], errorMessage: "purpose must be attachment or proof" } }
+    },
+
+    issuePriority: {
+        priority: { isIn: { options: [["low", "normal", "high"]], errorMessage: "priority must be low, normal or high" } }
+    },
+
+    issueMerge: {
+        duplicateIds: { isArray: { options: { min: 1, max: 50 }, errorMessage: "duplicateIds must be a non-empty array" } },
+        "duplicateIds.*": { isMongoId: { errorMessage: "duplicateIds must contain issue IDs" } }
+    },
+
+    issueUpvote: {
+        upvoted: { optional: true, isBoolean: { options: { strict: true }, errorMessage: "upvoted must be true or false" } }
+    },
+
+    issueBoost: {
+        paymentId: requiredString(1, 255, "paymentId")
+    },
+
+    commentCreate: {
+        issueId: { isMongoId: { errorMessage: "issueId must be an issue ID" } },
+        text: requiredString(1, 2000, "text"),
+        parentId: { optional: { options: { values: "null" } }, isMongoId: { errorMessage: "parentId must be a comment ID" } },
+        visibility: { optional: true, isIn: { options: [["public", "internal"]], errorMessage: "visibility must be public or internal" } }
+    },
+
+    commentEdit: {
+        text: requiredString(1, 2000, "text")
+    },
+
+    paymentIntent: {
+        amount: { isInt: { options: { min: 50 }, errorMessage: "amount must be an integer of at least 50 (cents)" }, toInt: true },
+        purpose: { optional: true, isString: { errorMessage: "purpose must be a string" } },
+        issueId: { optional: true, isMongoId: { errorMessage: "issueId must be an issue ID" } }
+    },
+
+    subscriptionCreate: {
+        plan: { optional: true, isIn: { options: [["monthly", "yearly"]], errorMessage: "plan must be monthly or yearly" } }
+    },
+
+    refund: {
+        reason: optionalString(500, "reason")
+    },
+
+    slaPolicy: {
+        category: optionalString(50, "category"),
+        priority: { optional: true, isIn: { options: [["low", "normal", "high", "*"]], errorMessage: "priority must be low, normal, high or *" } },
+        acknowledgeHours: { isFloat: { options: { gt: 0, max: 8760 }, errorMessage: "acknowledgeHours must be a positive number of hours" }, toFloat: true },
+        resolveHours: {
+            isFloat: { options: { gt: 0, max: 8760 }, errorMessage: "resolveHours must be a positive number of hours" },
+            toFloat: true,
+            custom: {
+                options: (value, { req }) => Number(value) >= Number(req.body.acknowledgeHours),
+                errorMessage: "resolveHours must be at least acknowledgeHours"
+            }
+        },
+        "escalation.raisePriority": { optional: true, isBoolean: { options: { strict: true }, errorMessage: "escalation.raisePriority must be a boolean" } },
+        "escalation.notifyAdmins": { optional: true, isBoolean: { options: { strict: true }, errorMessage: "escalation.notifyAdmins must be a boolean" } }
+    },
+
+    assignmentSettings: {
+        strategy: { isIn: { options: [["least-loaded", "round-robin"]], errorMessage: "strategy must be least-loaded or round-robin" } },
+        triggers: { optional: true, isArray: { errorMessage: "triggers must be an array" } },
+        "triggers.*": { isString: { errorMessage: "triggers must be \"created\" or status names" }, trim: true }
+    },
+
+    staffProfile: {
+        categories: { optional: true, isArray: { errorMessage: "categories must be an array" } },
+        "categories.*": { isString: { errorMessage: "categories must be strings" }, trim: true },
+        areas: { optional: true, isArray: { errorMessage: "areas must be an array" } },
+        "areas.*": { isString: { errorMessage: "areas must be strings" }, trim: true },
+        available: { optional: true, isBoolean: { options: { strict: true }, errorMessage: "available must be a boolean" } }
+    },
+
+    staffAvailability: {
+        available: { isBoolean: { options: { strict: true }, errorMessage: "available must be a boolean" } }
+    },
+
+    departmentCreate: departmentFields,
+
+    departmentUpdate: optionalAll(departmentFields),
+
+    notificationPreferences: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, {
+        optional: true,
+        isBoolean: { options: { strict: true }, errorMessage: `${type} must be a boolean` }
+    }])),
+
+    emailPreferences: {
+        frequency: { optional: true, isIn: { options: [["instant", "daily", "off"]], errorMessage: "frequency must be instant, daily or off" } },
+        ...Object.fromEntries(EMAIL_TYPES.map(type => [type, {
+            optional: true,
+            isBoolean: { options: { strict: true }, errorMessage: `${type} must be a boolean` }
+        }]))
+    },
+
+    webhookCreate: webhookFields,
+
+    webhookUpdate: optionalAll(webhookFields),
+
+    workflow: {
+        statuses: { isArray: { options: { min: 1, max: 30 }, errorMessage: "statuses must be a non-empty array" } },
+        "statuses.*": {
+            isString: { errorMessage: "statuses must be strings" },
+            matches: { options: [/^[a-z0-9]+(-[a-z0-9]+)*$/], errorMessage: "status names must be lowercase words joined by dashes" }
+        },
+        initialStatus: {
+            custom: {
+                options: (value, { req }) => Array.isArray(req.body.statuses) && req.body.statuses.includes(value),
+                errorMessage: "initialStatus must be one of statuses"
+            }
+        },
+        assignStatus: {
+            custom: {
+                options: (value, { req }) => Array.isArray(req.body.statuses) && req.body.statuses.includes(value),
+                errorMessage: "assignStatus must be one of statuses"
+            }
+        },
+        transitions: {
+            isArray: { errorMessage: "transitions must be an array" },
+            custom: {
+                options: (transitions, { req }) => {
+                    const statuses = Array.isArray(req.body.statuses) ? req.body.statuses : [];
+                    const seen = new Set();
+
+                    transitions.forEach((t, i) => {
+                        if (!t || !statuses.includes(t.from) || !statuses.includes(t.to)) {
+                            throw new Error(`transitions[${i}]: from and to must be listed in statuses`);
+                        }
+                        if (seen.has(`${t.from}>${t.to}`)) {
+                            throw new Error(`transitions[${i}]: duplicate transition ${t.from} → ${t.to}`);
+                        }
+                        seen.add(`${t.from}>${t.to}`);
+
+                        if (!Array.isArray(t.roles) || !t.roles.length || !t.roles.every(r => WORKFLOW_ROLES.includes(r))) {
+                            throw new Error(`transitions[${i}]: roles must be a non-empty subset of ${WORKFLOW_ROLES.join(", ")}`);
+                        }
+                        if (t.requires !== undefined && (!Array.isArray(t.requires) || !t.requires.every(r => WORKFLOW_REQUIREMENTS.includes(r)))) {
+                            throw new Error(`transitions[${i}]: requires may only contain ${WORKFLOW_REQUIREMENTS.join(", ")}`);
+                        }
+                    });
+
+                    return true;
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validate req.body against a schema. Read-only fields are rejected, unknown
+ * fields are dropped, and failures answer 422 with every offending field:
+ * { message: "Validation failed", errors: [{ field, message }] }
+ */
+function validate(schema, { readOnly = [] } = {}) {
+    const chains = checkSchema(schema, ["body"]);
+
+    return async (req, res, next) => {
+        const body = req.body || {};
+
+        const errors = readOnly
+            .filter(field => Object.prototype.hasOwnProperty.call(body, field))
+            .map(field => ({ field, message: `${field} cannot be set by the client` }));
+
+        await chains.run(req);
+
+        for (const error of validationResult(req).array({ onlyFirstError: true })) {
+            errors.push({ field: error.path, message: error.msg });
+        }
+
+        if (errors.length) {
+            return res.status(422).send({ message: "Validation failed", errors });
+        }
+
+        req.body = matchedData(req, { locations: ["body"], includeOptionals: false });
+        next();
+    };
+}
+
+module.exports = { validate, schemas, ISSUE_READ_ONLY, COMMENT_READ_ONLY, NOTIFICATION_TYPES, EMAIL_TYPES, WEBHOOK_EVENTS };